@@ -16,6 +16,40 @@
     mode: 'mixed',   
     audioFormat: 'webm',
     endpoint: 'https://nord-m-gemini.netlify.app/.netlify/functions/generate', 
+    streamEndpoint: undefined, // Defaults to the endpoint with `generate` -> `generate-stream`
+    tokenEndpoint: undefined,  // Defaults to the endpoint with `generate` -> `course-token`
+    courseId: undefined,       // Course id used to request signed course tokens
+    jsonVarPrefix: 'SR_Json_', // Top-level JSON reply fields map to <prefix><field>
+    jsonMapping: {},           // Optional { field: 'StorylineVar' } overrides
+    learner: undefined,        // Optional { id, name, email } for xAPI statements
+    xapiActivityId: undefined, // Optional xAPI activity IRI for this interaction
+    scorm: true,               // Look for a SCORM API in parent frames for learner identity
+    scormInteractions: false,  // Write cmi.interactions entries for each AI exchange
+    templateVariables: [],     // Storyline variables sent as prompt template placeholders
+  };
+
+  // SCORM data model names and API methods per version.
+  const SCORM = {
+    '2004': {
+      learnerId: 'cmi.learner_id',
+      learnerName: 'cmi.learner_name',
+      response: 'learner_response',
+      type: 'long-fill-in',
+      incorrect: 'incorrect',
+      getValue: 'GetValue',
+      setValue: 'SetValue',
+      commit: 'Commit',
+    },
+    '1.2': {
+      learnerId: 'cmi.core.student_id',
+      learnerName: 'cmi.core.student_name',
+      response: 'student_response',
+      type: 'fill-in',
+      incorrect: 'wrong',
+      getValue: 'LMSGetValue',
+      setValue: 'LMSSetValue',
+      commit: 'LMSCommit',
+    },
   };
 
   
@@ -29,16 +63,41 @@
     mode: 'SR_Mode', 
     autosend: 'SR_AutoSend', 
     audioFormat: 'SR_AudioFormat', 
+    sttLanguage: 'SR_SttLanguage',
+    sttSampleRate: 'SR_SttSampleRate',
     modelName: 'SR_ModelName',
     modelUri: 'SR_ModelUri',
     temperature: 'SR_Temperature',
     maxTokens: 'SR_MaxTokens',
     provider: 'SR_Provider', 
+    responseFormat: 'SR_ResponseFormat',
+    jsonSchema: 'SR_JsonSchema',
+    tts: 'SR_Tts',
+    ttsVoice: 'SR_TtsVoice',
     debug: 'SR_Debug',
     response: 'SR_Response',       
+    responseAudioUrl: 'SR_ResponseAudioUrl',
     transcript: 'SR_Transcript',   
     statusOut: 'SR_Status',        
     functionUrl: 'SR_FunctionUrl', 
+    courseId: 'SR_CourseId',
+    authToken: 'SR_AuthToken',
+    learnerId: 'SR_LearnerId',
+    learnerName: 'SR_LearnerName',
+    learnerEmail: 'SR_LearnerEmail',
+    xapiActivityId: 'SR_XapiActivityId',
+    xapiActivityName: 'SR_XapiActivityName',
+    scormInteractions: 'SR_ScormInteractions',
+    templateId: 'SR_TemplateId',
+    templateVars: 'SR_TemplateVars',
+    slideId: 'SR_SlideId',
+    question: 'SR_Question',
+    referenceAnswer: 'SR_ReferenceAnswer',
+    rubric: 'SR_Rubric',
+    passThreshold: 'SR_PassThreshold',
+    score: 'SR_Score',
+    passed: 'SR_Passed',
+    feedback: 'SR_Feedback',
   };
 
   
@@ -53,13 +112,36 @@
     mode: DEFAULTS.mode,
     autosend: DEFAULTS.autosend,
     audioFormat: DEFAULTS.audioFormat,
+    sttLanguage: undefined,
+    sttSampleRate: undefined,
     modelName: undefined,
     modelUri: undefined,
     temperature: undefined,
     maxTokens: undefined,
     provider: undefined,
+    responseFormat: undefined,
+    jsonSchema: undefined,
+    tts: false,
+    ttsVoice: undefined,
     debug: false,
     functionUrl: undefined,
+    streamUrl: undefined,
+    tokenUrl: undefined,
+    courseId: undefined,
+    authToken: undefined,
+    learnerId: undefined,
+    learnerName: undefined,
+    learnerEmail: undefined,
+    xapiActivityId: undefined,
+    xapiActivityName: undefined,
+    scormInteractions: false,
+    templateId: undefined,
+    templateVars: undefined,
+    slideId: undefined,
+    question: undefined,
+    referenceAnswer: undefined,
+    rubric: undefined,
+    passThreshold: undefined,
   };
 
   let player = null;
@@ -69,6 +151,10 @@
   let audioChunks = [];
   let recordedAudioBlob = null;
   let audioPreviewElement = null;
+  let responseAudioUrl = null;
+  let responseAudioElement = null;
+  let issuedToken = null;
+  let scorm = null;
 
   
   const log = (...args) => { if (state.debug) { try { console.log('[SR]', ...args); } catch(_) {} } };
@@ -268,13 +354,34 @@
     const vMode = readVar(VARS.mode);
     const vAutosend = readVar(VARS.autosend);
     const vAudioFormat = readVar(VARS.audioFormat);
+    const vSttLanguage = readVar(VARS.sttLanguage);
+    const vSttSampleRate = readVar(VARS.sttSampleRate);
     const vModelName = readVar(VARS.modelName);
     const vModelUri = readVar(VARS.modelUri);
     const vTemp = readVar(VARS.temperature);
     const vMax = readVar(VARS.maxTokens);
     const vProvider = readVar(VARS.provider);
+    const vResponseFormat = readVar(VARS.responseFormat);
+    const vJsonSchema = readVar(VARS.jsonSchema);
+    const vTts = readVar(VARS.tts);
+    const vTtsVoice = readVar(VARS.ttsVoice);
     const vDebug = readVar(VARS.debug);
     const vFunctionUrl = readVar(VARS.functionUrl);
+    const vCourseId = readVar(VARS.courseId);
+    const vAuthToken = readVar(VARS.authToken);
+    const vLearnerId = readVar(VARS.learnerId);
+    const vLearnerName = readVar(VARS.learnerName);
+    const vLearnerEmail = readVar(VARS.learnerEmail);
+    const vXapiActivityId = readVar(VARS.xapiActivityId);
+    const vXapiActivityName = readVar(VARS.xapiActivityName);
+    const vScormInteractions = readVar(VARS.scormInteractions);
+    const vTemplateId = readVar(VARS.templateId);
+    const vTemplateVars = readVar(VARS.templateVars);
+    const vSlideId = readVar(VARS.slideId);
+    const vQuestion = readVar(VARS.question);
+    const vReferenceAnswer = readVar(VARS.referenceAnswer);
+    const vRubric = readVar(VARS.rubric);
+    const vPassThreshold = readVar(VARS.passThreshold);
 
     if (typeof vPrompt !== 'undefined') newState.prompt = String(vPrompt ?? '');
     if (typeof vSystem !== 'undefined') newState.system = String(vSystem ?? '');
@@ -285,13 +392,34 @@
     
     newState.autosend = toBool(vAutosend);
     if (typeof vAudioFormat !== 'undefined' && vAudioFormat) newState.audioFormat = String(vAudioFormat);
+    if (typeof vSttLanguage !== 'undefined') newState.sttLanguage = vSttLanguage ? String(vSttLanguage) : undefined;
+    if (typeof vSttSampleRate !== 'undefined') newState.sttSampleRate = (vSttSampleRate === '' || vSttSampleRate === null || Number(vSttSampleRate) === 0) ? undefined : Number(vSttSampleRate);
     if (typeof vModelName !== 'undefined') newState.modelName = vModelName ? String(vModelName) : undefined;
     if (typeof vModelUri !== 'undefined') newState.modelUri = vModelUri ? String(vModelUri) : undefined;
     if (typeof vTemp !== 'undefined') newState.temperature = (vTemp === '' || vTemp === null) ? undefined : Number(vTemp);
     if (typeof vMax !== 'undefined') newState.maxTokens = (vMax === '' || vMax === null) ? undefined : Number(vMax);
     if (typeof vProvider !== 'undefined') newState.provider = vProvider ? String(vProvider) : undefined;
+    if (typeof vResponseFormat !== 'undefined') newState.responseFormat = vResponseFormat ? String(vResponseFormat) : undefined;
+    if (typeof vJsonSchema !== 'undefined') newState.jsonSchema = vJsonSchema ? String(vJsonSchema) : undefined;
+    if (typeof vTts !== 'undefined') newState.tts = toBool(vTts);
+    if (typeof vTtsVoice !== 'undefined') newState.ttsVoice = vTtsVoice ? String(vTtsVoice) : undefined;
     if (typeof vDebug !== 'undefined') newState.debug = toBool(vDebug);
     if (typeof vFunctionUrl !== 'undefined') newState.functionUrl = vFunctionUrl ? String(vFunctionUrl) : undefined;
+    if (typeof vCourseId !== 'undefined' && vCourseId) newState.courseId = String(vCourseId);
+    if (typeof vAuthToken !== 'undefined') newState.authToken = vAuthToken ? String(vAuthToken) : undefined;
+    if (typeof vLearnerId !== 'undefined' && vLearnerId) newState.learnerId = String(vLearnerId);
+    if (typeof vLearnerName !== 'undefined' && vLearnerName) newState.learnerName = String(vLearnerName);
+    if (typeof vLearnerEmail !== 'undefined' && vLearnerEmail) newState.learnerEmail = String(vLearnerEmail);
+    if (typeof vXapiActivityId !== 'undefined' && vXapiActivityId) newState.xapiActivityId = String(vXapiActivityId);
+    if (typeof vXapiActivityName !== 'undefined' && vXapiActivityName) newState.xapiActivityName = String(vXapiActivityName);
+    if (typeof vScormInteractions !== 'undefined') newState.scormInteractions = toBool(vScormInteractions);
+    if (typeof vTemplateId !== 'undefined') newState.templateId = vTemplateId ? String(vTemplateId) : undefined;
+    if (typeof vTemplateVars !== 'undefined') newState.templateVars = vTemplateVars ? String(vTemplateVars) : undefined;
+    if (typeof vSlideId !== 'undefined') newState.slideId = vSlideId ? String(vSlideId) : undefined;
+    if (typeof vQuestion !== 'undefined') newState.question = vQuestion ? String(vQuestion) : undefined;
+    if (typeof vReferenceAnswer !== 'undefined') newState.referenceAnswer = vReferenceAnswer ? String(vReferenceAnswer) : undefined;
+    if (typeof vRubric !== 'undefined') newState.rubric = vRubric ? String(vRubric) : undefined;
+    if (typeof vPassThreshold !== 'undefined') newState.passThreshold = (vPassThreshold === '' || vPassThreshold === null || Number(vPassThreshold) === 0) ? undefined : Number(vPassThreshold);
 
     const promptChanged = newState.prompt !== state.prompt;
     const autosendChanged = newState.autosend !== state.autosend;
@@ -450,6 +578,97 @@
     return sendText();
   }
 
+  /**
+   * Map top-level fields of a JSON reply onto Storyline variables.
+   *
+   * Args:
+   *   data: Backend response object.
+   *
+   * Returns:
+   *   None.
+   */
+  function handleJsonResponse(data){
+    if (!data || !data.json || typeof data.json !== 'object') return;
+    if (data.jsonErrors) log('JSON reply did not match schema:', data.jsonErrors);
+    const mapping = cfg.jsonMapping || {};
+    Object.keys(data.json).forEach((key) => {
+      const name = mapping[key] || ((cfg.jsonVarPrefix || '') + key);
+      const value = data.json[key];
+      if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'string') {
+        setVar(name, value);
+      } else {
+        setVar(name, JSON.stringify(value));
+      }
+    });
+    postToParent('SR_json', data.json);
+  }
+
+  /**
+   * Write the result of a grading request to SR_Score, SR_Passed and SR_Feedback.
+   *
+   * Args:
+   *   data: Backend response object.
+   *
+   * Returns:
+   *   None.
+   */
+  function handleGradeResponse(data){
+    if (!data || !data.grade) return;
+    setVar(VARS.score, data.grade.score);
+    setVar(VARS.passed, !!data.grade.passed);
+    setVar(VARS.feedback, data.grade.feedback || '');
+    postToParent('SR_grade', data.grade);
+  }
+
+  /**
+   * Expose synthesized reply audio to Storyline.
+   *
+   * Args:
+   *   data: Backend response object.
+   *
+   * Returns:
+   *   None.
+   */
+  function handleResponseAudio(data){
+    if (responseAudioUrl) {
+      try { URL.revokeObjectURL(responseAudioUrl); } catch(_) {}
+      responseAudioUrl = null;
+    }
+    if (data && data.ttsError) log('TTS error:', data.ttsError);
+    if (!data || !data.audioBase64) {
+      setVar(VARS.responseAudioUrl, '');
+      return;
+    }
+    try {
+      const bin = atob(data.audioBase64);
+      const bytes = new Uint8Array(bin.length);
+      for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+      const blob = new Blob([bytes], { type: data.audioMimeType || 'audio/mpeg' });
+      responseAudioUrl = URL.createObjectURL(blob);
+      setVar(VARS.responseAudioUrl, responseAudioUrl);
+      postToParent('SR_responseAudio', responseAudioUrl);
+    } catch (e) {
+      log('Response audio decode error', e);
+    }
+  }
+
+  /**
+   * Play the synthesized audio of the last response.
+   *
+   * Returns:
+   *   None.
+   */
+  function playResponse(){
+    if (!responseAudioUrl) { status('No response audio.'); return; }
+    if (!responseAudioElement) {
+      responseAudioElement = new Audio();
+      responseAudioElement.onended = () => status('Playback stopped');
+    }
+    responseAudioElement.src = responseAudioUrl;
+    responseAudioElement.play();
+    status('Playing response...');
+  }
+
   /**
    * Send a text request to the backend.
    *
@@ -488,28 +707,469 @@
       modelName: state.modelName,
       modelUri: state.modelUri,
       temperature: state.temperature,
-      maxTokens: state.maxTokens
-      
+      maxTokens: state.maxTokens,
+      provider: state.provider,
+      tts: !!state.tts,
+      ttsVoice: state.ttsVoice,
+      ttsLanguage: state.sttLanguage,
+      responseFormat: state.responseFormat,
+      jsonSchema: state.jsonSchema,
+      courseId: state.courseId,
+      slideId: state.slideId,
+      templateId: state.templateId,
+      templateVars: getTemplateVars(),
+      xapi: getXapiContext(),
+      ...getGradingFields()
     };
     try{
       const url = state.functionUrl || cfg.endpoint || '/.netlify/functions/generate';
       const res = await fetch(url, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
         body: JSON.stringify(body)
       });
+      checkAuthResponse(res);
       const data = await res.json();
-      if (!res.ok) throw new Error(data && data.error || ('HTTP '+res.status));
+      if (!res.ok) throw httpError(res, data);
       if (data && typeof data.transcript !== 'undefined') {
         const tr = data.transcript || '';
         postToParent('SR_transcription', tr);
         setVar(VARS.transcript, String(tr));
       }
       responseMsg(data.generatedText || '');
+      handleJsonResponse(data);
+      handleGradeResponse(data);
+      handleResponseAudio(data);
+      recordScormInteraction(promptText, data);
       status('Idle');
       return data;
     }catch(e){
-      status('Error: ' + e.message);
+      reportError(e);
+      throw e;
+    }
+  }
+
+  /**
+   * Build an Error from a failed backend response.
+   *
+   * Args:
+   *   res: Fetch response.
+   *   data: Parsed JSON body.
+   *
+   * Returns:
+   *   Error with `status` and, for 429, `retryAfter` (seconds).
+   */
+  function httpError(res, data){
+    const err = new Error(data && data.error || ('HTTP '+res.status));
+    err.status = res.status;
+    if (res.status === 429) {
+      err.retryAfter = Number(data && data.retryAfter || res.headers.get('Retry-After')) || undefined;
+    }
+    return err;
+  }
+
+  /**
+   * Surface a failed request via SR_Status and the SR_error event.
+   *
+   * Rate-limited requests get the distinct status `Rate limited` so triggers
+   * can react to it without parsing the message.
+   *
+   * Args:
+   *   e: Error thrown by a send function.
+   *
+   * Returns:
+   *   None.
+   */
+  function reportError(e){
+    postToParent('SR_error', { status: e.status, error: e.message, retryAfter: e.retryAfter });
+    if (e.status === 429) status('Rate limited');
+    else status('Error: ' + e.message);
+  }
+
+  /**
+   * Build the xAPI context sent with requests.
+   *
+   * Returns:
+   *   { learner, activityId, activityName }, or undefined when no learner is known.
+   */
+  function getXapiContext(){
+    if (!state.learnerId && !state.learnerEmail) return undefined;
+    return {
+      learner: { id: state.learnerId, name: state.learnerName, email: state.learnerEmail },
+      activityId: state.xapiActivityId,
+      activityName: state.xapiActivityName
+    };
+  }
+
+  /**
+   * Collect prompt template placeholders.
+   *
+   * Values from `SR_TemplateVars` (JSON text or an object from `setTemplate`)
+   * are overridden by the Storyline variables listed in `templateVariables`.
+   *
+   * Returns:
+   *   Placeholder object, or undefined when there is none.
+   */
+  function getTemplateVars(){
+    let vars = {};
+    if (state.templateVars && typeof state.templateVars === 'object') {
+      vars = { ...state.templateVars };
+    } else if (state.templateVars) {
+      try { vars = JSON.parse(state.templateVars) || {}; } catch(_) { log('SR_TemplateVars is not valid JSON'); }
+    }
+    (cfg.templateVariables || []).forEach((name) => {
+      const v = readVar(name);
+      if (typeof v !== 'undefined') vars[name] = v;
+    });
+    return Object.keys(vars).length > 0 ? vars : undefined;
+  }
+
+  /**
+   * Build the grading fields sent with requests.
+   *
+   * Grading is on while `SR_Rubric` (or `setGrading`) holds a rubric, or
+   * `server` to grade with the rubric of a grading template on the backend.
+   *
+   * Returns:
+   *   { task, question, referenceAnswer, rubric, passThreshold }, { task }
+   *   for `server`, or an empty object when no rubric is set.
+   */
+  function getGradingFields(){
+    if (!state.rubric) return {};
+    if (String(state.rubric).trim() === 'server') return { task: 'grade' };
+    let rubric = state.rubric;
+    if (typeof rubric === 'string') {
+      try { rubric = JSON.parse(rubric); } catch(_) { log('SR_Rubric is not valid JSON'); }
+    }
+    return {
+      task: 'grade',
+      question: state.question || '',
+      referenceAnswer: state.referenceAnswer || '',
+      rubric,
+      passThreshold: state.passThreshold,
+    };
+  }
+
+  /**
+   * Find the SCORM 2004 or 1.2 API in the parent frames or the opener window.
+   *
+   * Returns:
+   *   { version, api } or null when the course is not running in a SCORM LMS.
+   */
+  function findScormApi(){
+    const search = (win) => {
+      for (let depth = 0; win && depth < 10; depth++) {
+        try {
+          if (win.API_1484_11) return { version: '2004', api: win.API_1484_11 };
+          if (win.API) return { version: '1.2', api: win.API };
+        } catch(_) {}
+        if (win.parent === win) break;
+        win = win.parent;
+      }
+      return null;
+    };
+    let found = search(window);
+    if (!found) {
+      try { if (window.top && window.top.opener) found = search(window.top.opener); } catch(_) {}
+    }
+    return found;
+  }
+
+  /**
+   * Read a SCORM data model value.
+   *
+   * Args:
+   *   name: Data model element (e.g. `cmi.learner_id`).
+   *
+   * Returns:
+   *   Value string, or '' when unavailable.
+   */
+  function scormGet(name){
+    try {
+      const v = scorm.api[SCORM[scorm.version].getValue](name);
+      return v === null || typeof v === 'undefined' ? '' : String(v);
+    } catch(_) { return ''; }
+  }
+
+  /**
+   * Write a SCORM data model value.
+   *
+   * Args:
+   *   name: Data model element.
+   *   value: Value to write.
+   *
+   * Returns:
+   *   True when the LMS accepted the value.
+   */
+  function scormSet(name, value){
+    try {
+      return String(scorm.api[SCORM[scorm.version].setValue](name, String(value))) === 'true';
+    } catch(_) { return false; }
+  }
+
+  /**
+   * Connect to the LMS: read the learner and seed the session id.
+   *
+   * The LMS session itself is initialized and terminated by the Storyline
+   * player; the bridge only reads and writes data model values.
+   *
+   * Returns:
+   *   { version, id, name } of the learner, or null without a SCORM API.
+   */
+  function connectScorm(){
+    scorm = findScormApi();
+    if (!scorm) {
+      log('SCORM API not found');
+      return null;
+    }
+    const names = SCORM[scorm.version];
+    scorm.learner = { version: scorm.version, id: scormGet(names.learnerId), name: scormGet(names.learnerName) };
+    log('SCORM', scorm.version, 'learner:', scorm.learner.id);
+    if (!scorm.learner.id) return scorm.learner;
+
+    if (!state.learnerId && !state.learnerEmail) {
+      state.learnerId = scorm.learner.id;
+      state.learnerName = scorm.learner.name || state.learnerName;
+      setVar(VARS.learnerId, state.learnerId);
+      if (state.learnerName) setVar(VARS.learnerName, state.learnerName);
+    }
+    // One conversation per learner and course. The random part keeps the id
+    // unguessable; Storyline resume restores SR_SessionId on the next launch.
+    if (!state.sessionId && !readVar(VARS.sessionId)) {
+      const courseId = state.courseId || readVar(VARS.courseId);
+      const key = (courseId ? courseId + '-' : '') + scorm.learner.id;
+      setSessionIdImpl(generateId('scorm-' + key.replace(/[^A-Za-z0-9_.-]/g, '_')));
+    }
+    return scorm.learner;
+  }
+
+  /**
+   * Format the current time for a SCORM interaction.
+   *
+   * Returns:
+   *   UTC ISO timestamp (2004) or local HH:MM:SS (1.2).
+   */
+  function scormTime(){
+    const now = new Date();
+    if (scorm.version === '2004') return now.toISOString().slice(0, 19) + 'Z';
+    return now.toTimeString().slice(0, 8);
+  }
+
+  /**
+   * Derive the interaction result from a JSON reply.
+   *
+   * Returns `correct`/`incorrect` for a boolean `passed` or `correct` field,
+   * the `score` as a number, and `neutral` otherwise.
+   *
+   * Args:
+   *   json: Grade or parsed JSON reply (optional).
+   *
+   * Returns:
+   *   SCORM result string.
+   */
+  function scormVerdict(json){
+    if (json && typeof json === 'object') {
+      const passed = typeof json.passed === 'boolean' ? json.passed : json.correct;
+      if (typeof passed === 'boolean') return passed ? 'correct' : SCORM[scorm.version].incorrect;
+      if (typeof json.score === 'number' && isFinite(json.score)) return String(json.score);
+    }
+    return 'neutral';
+  }
+
+  /**
+   * Record an AI exchange as a SCORM `cmi.interactions` entry.
+   *
+   * Args:
+   *   learnerResponse: Prompt or transcript sent by the learner.
+   *   data: Backend response object.
+   *
+   * Returns:
+   *   None.
+   */
+  function recordScormInteraction(learnerResponse, data){
+    if (!scorm || !state.scormInteractions || !data || typeof data.generatedText === 'undefined') return;
+    const names = SCORM[scorm.version];
+    const n = Number(scormGet('cmi.interactions._count')) || 0;
+    const prefix = 'cmi.interactions.' + n + '.';
+    const id = scorm.version === '2004' ? 'urn:sr:interaction:' + Date.now() : 'sr_' + Date.now();
+    // SCORM 1.2 caps student_response at 255 characters, 2004 long-fill-in at 4000.
+    const limit = scorm.version === '2004' ? 4000 : 255;
+    const ok = scormSet(prefix + 'id', id)
+      && scormSet(prefix + 'type', names.type)
+      && scormSet(prefix + names.response, String(learnerResponse || '').slice(0, limit))
+      && scormSet(prefix + 'result', scormVerdict(data.grade || data.json))
+      && scormSet(prefix + (scorm.version === '2004' ? 'timestamp' : 'time'), scormTime());
+    if (!ok) {
+      log('SCORM interaction was not accepted by the LMS');
+      return;
+    }
+    try { scorm.api[names.commit](''); } catch(_) {}
+  }
+
+  /**
+   * Resolve the course token endpoint URL.
+   *
+   * Returns:
+   *   URL of the course-token function.
+   */
+  function getTokenUrl(){
+    if (state.tokenUrl) return state.tokenUrl;
+    const base = state.functionUrl || cfg.endpoint || '/.netlify/functions/generate';
+    return base.replace(/\/generate(\?|$)/, '/course-token$1');
+  }
+
+  /**
+   * Build auth headers for backend requests.
+   *
+   * Uses `SR_AuthToken` when set; otherwise requests (and caches) a signed
+   * course token for `SR_CourseId`. Without either, no header is sent.
+   *
+   * Returns:
+   *   Promise resolving to a headers object.
+   */
+  async function getAuthHeaders(){
+    if (state.authToken) return { 'X-Course-Token': state.authToken };
+    if (!state.courseId) return {};
+    const fresh = issuedToken && issuedToken.courseId === state.courseId && issuedToken.expiresAt - 30000 > Date.now();
+    if (!fresh) {
+      const res = await fetch(getTokenUrl(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ courseId: state.courseId })
+      });
+      const data = await res.json();
+      if (!res.ok) throw httpError(res, data);
+      issuedToken = { token: data.token, expiresAt: data.expiresAt, courseId: state.courseId };
+    }
+    return { 'X-Course-Token': issuedToken.token };
+  }
+
+  /**
+   * Drop the cached course token after the backend rejects it.
+   *
+   * Args:
+   *   res: Fetch response.
+   *
+   * Returns:
+   *   None.
+   */
+  function checkAuthResponse(res){
+    if (res.status === 401 || res.status === 403) issuedToken = null;
+  }
+
+  /**
+   * Resolve the streaming endpoint URL.
+   *
+   * Returns:
+   *   URL of the generate-stream function.
+   */
+  function getStreamUrl(){
+    if (state.streamUrl) return state.streamUrl;
+    const base = state.functionUrl || cfg.endpoint || '/.netlify/functions/generate';
+    return base.replace(/\/generate(\?|$)/, '/generate-stream$1');
+  }
+
+  /**
+   * Send a text request and read the reply as Server-Sent Events.
+   *
+   * Returns:
+   *   Final response object from the `done` event.
+   */
+  async function sendStream(){
+    if (state.rubric) {
+      log('Grading replies are not streamed, sending a regular request');
+      return sendText();
+    }
+    if (String(state.responseFormat || '').toLowerCase() === 'json' || state.tts) {
+      log('JSON and speech replies are not streamed, sending a regular request');
+      return sendText();
+    }
+    const promptText = state.prompt || '';
+    if (!promptText.trim()) {
+      status('No text to send');
+      throw new Error('No text to send');
+    }
+    status('Streaming...');
+    const body = {
+      prompt: promptText,
+      system: state.system || '',
+      sessionId: state.sessionId || undefined,
+      endSession: !!state.endSession,
+      resetContext: !!state.resetContext,
+      modelName: state.modelName,
+      modelUri: state.modelUri,
+      temperature: state.temperature,
+      maxTokens: state.maxTokens,
+      provider: state.provider,
+      courseId: state.courseId,
+      slideId: state.slideId,
+      templateId: state.templateId,
+      templateVars: getTemplateVars(),
+      xapi: getXapiContext()
+    };
+    try{
+      const res = await fetch(getStreamUrl(), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(await getAuthHeaders()) },
+        body: JSON.stringify(body)
+      });
+      checkAuthResponse(res);
+      const type = res.headers.get('Content-Type') || '';
+      if (!res.ok || type.indexOf('text/event-stream') === -1) {
+        const data = await res.json();
+        if (!res.ok) throw httpError(res, data);
+        status('Idle');
+        return data;
+      }
+
+      const reader = res.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let text = '';
+      let final = null;
+
+      const handleEvent = (raw) => {
+        let name = 'message';
+        let dataStr = '';
+        raw.split('\n').forEach(line => {
+          if (line.indexOf('event:') === 0) name = line.slice(6).trim();
+          else if (line.indexOf('data:') === 0) dataStr += line.slice(5).trim();
+        });
+        if (!dataStr) return;
+        const data = JSON.parse(dataStr);
+        if (name === 'delta') {
+          text += data.text || '';
+          postToParent('SR_delta', data.text || '');
+          setVar(VARS.response, text);
+        } else if (name === 'done') {
+          final = data;
+        } else if (name === 'error') {
+          const err = new Error(data.error || 'Stream error');
+          err.status = data.statusCode;
+          throw err;
+        }
+      };
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let idx;
+        while ((idx = buffer.indexOf('\n\n')) !== -1) {
+          const raw = buffer.slice(0, idx);
+          buffer = buffer.slice(idx + 2);
+          handleEvent(raw);
+        }
+      }
+      if (buffer.trim()) handleEvent(buffer);
+      if (!final) throw new Error('Stream ended without a final response');
+
+      responseMsg(final.generatedText || text);
+      recordScormInteraction(promptText, final);
+      status('Idle');
+      return final;
+    }catch(e){
+      reportError(e);
       throw e;
     }
   }
@@ -534,7 +1194,31 @@
     if (state.modelUri) fd.append('modelUri', state.modelUri);
     if (typeof state.temperature === 'number') fd.append('temperature', String(state.temperature));
     if (typeof state.maxTokens === 'number') fd.append('maxTokens', String(state.maxTokens));
+    if (state.provider) fd.append('provider', state.provider);
+    if (state.courseId) fd.append('courseId', state.courseId);
+    if (state.responseFormat) fd.append('responseFormat', state.responseFormat);
+    if (state.jsonSchema) fd.append('jsonSchema', typeof state.jsonSchema === 'string' ? state.jsonSchema : JSON.stringify(state.jsonSchema));
+    if (state.tts) fd.append('tts', 'true');
+    if (state.ttsVoice) fd.append('ttsVoice', state.ttsVoice);
     if (state.audioFormat) fd.append('audioFormat', state.audioFormat);
+    if (state.sttLanguage) fd.append('sttLanguage', state.sttLanguage);
+    if (typeof state.sttSampleRate === 'number') fd.append('sttSampleRate', String(state.sttSampleRate));
+    if (state.slideId) fd.append('slideId', state.slideId);
+    if (state.templateId) fd.append('templateId', state.templateId);
+    const templateVars = getTemplateVars();
+    if (templateVars) fd.append('templateVars', JSON.stringify(templateVars));
+    const xapi = getXapiContext();
+    if (xapi) fd.append('xapi', JSON.stringify(xapi));
+    const grading = getGradingFields();
+    if (grading.task) {
+      fd.append('task', grading.task);
+      if (typeof grading.rubric !== 'undefined') {
+        fd.append('question', grading.question);
+        fd.append('referenceAnswer', grading.referenceAnswer);
+        fd.append('rubric', typeof grading.rubric === 'string' ? grading.rubric : JSON.stringify(grading.rubric));
+      }
+      if (typeof grading.passThreshold === 'number') fd.append('passThreshold', String(grading.passThreshold));
+    }
 
     const filename = state.audioFormat === 'oggopus' ? 'recording.ogg' : 'recording.webm';
     fd.append('audio', recordedAudioBlob, filename);
@@ -543,22 +1227,28 @@
       const url = state.functionUrl || cfg.endpoint || '/.netlify/functions/generate';
       const res = await fetch(url, {
         method: 'POST',
+        headers: await getAuthHeaders(),
         body: fd,
       });
+      checkAuthResponse(res);
       const data = await res.json();
-      if (!res.ok) throw new Error(data && data.error || ('HTTP '+res.status));
+      if (!res.ok) throw httpError(res, data);
       if (data && typeof data.transcript !== 'undefined') {
         const tr = data.transcript || '';
         postToParent('SR_transcription', tr);
         setVar(VARS.transcript, String(tr));
       }
       responseMsg(data.generatedText || '');
+      handleJsonResponse(data);
+      handleGradeResponse(data);
+      handleResponseAudio(data);
+      recordScormInteraction(data.transcript || state.prompt, data);
       status('Idle');
       
       
       return data;
     }catch(e){
-      status('Error: ' + e.message);
+      reportError(e);
       throw e;
     }
   }
@@ -581,9 +1271,20 @@
       if (cfg.endpoint && typeof cfg.endpoint === 'string') {
         state.functionUrl = cfg.endpoint;
       }
+      if (cfg.streamEndpoint && typeof cfg.streamEndpoint === 'string') {
+        state.streamUrl = cfg.streamEndpoint;
+      }
+      if (cfg.tokenEndpoint && typeof cfg.tokenEndpoint === 'string') {
+        state.tokenUrl = cfg.tokenEndpoint;
+      }
+      if (cfg.courseId) state.courseId = String(cfg.courseId);
+      if (cfg.learner) WebRecorder.setLearner(cfg.learner);
+      if (cfg.xapiActivityId) state.xapiActivityId = String(cfg.xapiActivityId);
+      state.scormInteractions = !!cfg.scormInteractions;
       status('Initializing...');
       
       player = getPlayerSafe();
+      if (cfg.scorm) connectScorm();
       if (player && cfg.autosync) startPolling();
       postToParent('SR_ready', true);
       status('Idle');
@@ -610,6 +1311,13 @@
      *   None.
      */
     play,
+    /**
+     * Play the synthesized audio of the last response.
+     *
+     * Returns:
+     *   None.
+     */
+    playResponse,
     /**
      * Send a request based on mode and audio availability.
      *
@@ -617,6 +1325,13 @@
      *   Provider response object.
      */
     send,
+    /**
+     * Send a text request and stream the reply into SR_Response.
+     *
+     * Returns:
+     *   Final response object.
+     */
+    sendStream,
     /**
      * Set the current prompt text.
      *
@@ -705,7 +1420,7 @@
      */
     newSessionId(prefix){ return newSessionIdImpl(prefix); },
     /**
-     * Set the provider hint (backend still chooses by env).
+     * Set the provider for next requests (must be allowed by the backend).
      *
      * Args:
      *   v: Provider name.
@@ -714,6 +1429,48 @@
      *   None.
      */
     setProvider(v){ state.provider = v ? String(v) : undefined; },
+    /**
+     * Request structured JSON replies.
+     *
+     * Args:
+     *   format: 'json' for structured replies, empty for plain text.
+     *   schema: Optional JSON Schema (object or JSON string).
+     *
+     * Returns:
+     *   None.
+     */
+    setResponseFormat(format, schema){
+      state.responseFormat = format ? String(format) : undefined;
+      if (typeof schema !== 'undefined') state.jsonSchema = schema || undefined;
+    },
+    /**
+     * Set how JSON reply fields map to Storyline variables.
+     *
+     * Args:
+     *   mapping: Object of { field: 'StorylineVar' }.
+     *   prefix: Optional prefix for unmapped fields (default SR_Json_).
+     *
+     * Returns:
+     *   None.
+     */
+    setJsonMapping(mapping, prefix){
+      cfg.jsonMapping = mapping || {};
+      if (typeof prefix !== 'undefined') cfg.jsonVarPrefix = String(prefix || '');
+    },
+    /**
+     * Enable or disable spoken replies.
+     *
+     * Args:
+     *   on: Boolean-like value.
+     *   voice: Optional TTS voice name.
+     *
+     * Returns:
+     *   None.
+     */
+    setTts(on, voice){
+      state.tts = !!on;
+      if (typeof voice !== 'undefined') state.ttsVoice = voice ? String(voice) : undefined;
+    },
     /**
      * Enable or disable autosend when SR_Prompt changes.
      *
@@ -738,6 +1495,21 @@
      *   None.
      */
     setAudioFormat(v){ if (v) state.audioFormat = String(v); },
+    /**
+     * Set the speech-to-text language and optional sample rate.
+     *
+     * Args:
+     *   lang: Locale such as en-US, ru-RU, or kk-KZ.
+     *   sampleRate: Optional sample rate in Hz.
+     *
+     * Returns:
+     *   None.
+     */
+    setSttLanguage(lang, sampleRate){
+      state.sttLanguage = lang ? String(lang) : undefined;
+      if (typeof sampleRate !== 'undefined') state.sttSampleRate = sampleRate ? Number(sampleRate) : undefined;
+      setVar(VARS.sttLanguage, state.sttLanguage || '');
+    },
     /**
      * Enable or disable debug logging.
      *
@@ -758,6 +1530,145 @@
      *   None.
      */
     setEndpoint(v){ state.functionUrl = v ? String(v) : undefined; },
+    /**
+     * Override the streaming endpoint URL.
+     *
+     * Args:
+     *   v: URL string.
+     *
+     * Returns:
+     *   None.
+     */
+    setStreamEndpoint(v){ state.streamUrl = v ? String(v) : undefined; },
+    /**
+     * Override the course token endpoint URL.
+     *
+     * Args:
+     *   v: URL string.
+     *
+     * Returns:
+     *   None.
+     */
+    setTokenEndpoint(v){ state.tokenUrl = v ? String(v) : undefined; issuedToken = null; },
+    /**
+     * Set the course id used to request signed course tokens.
+     *
+     * Args:
+     *   id: Course identifier.
+     *
+     * Returns:
+     *   None.
+     */
+    setCourseId(id){ state.courseId = id ? String(id) : undefined; issuedToken = null; },
+    /**
+     * Use a course token minted elsewhere (e.g. by the LMS).
+     *
+     * Args:
+     *   token: Signed course token, or empty to request one by course id.
+     *
+     * Returns:
+     *   None.
+     */
+    setAuthToken(token){ state.authToken = token ? String(token) : undefined; },
+    /**
+     * Set the learner reported in xAPI statements.
+     *
+     * Args:
+     *   learner: { id, name, email }; an id or email is required for statements.
+     *
+     * Returns:
+     *   None.
+     */
+    setLearner(learner){
+      const l = learner || {};
+      state.learnerId = l.id ? String(l.id) : undefined;
+      state.learnerName = l.name ? String(l.name) : undefined;
+      state.learnerEmail = l.email ? String(l.email) : undefined;
+    },
+    /**
+     * Set the xAPI activity the AI interaction belongs to.
+     *
+     * Args:
+     *   id: Activity IRI (empty to use the server default).
+     *   name: Display name (optional).
+     *
+     * Returns:
+     *   None.
+     */
+    setXapiActivity(id, name){
+      state.xapiActivityId = id ? String(id) : undefined;
+      if (typeof name !== 'undefined') state.xapiActivityName = name ? String(name) : undefined;
+    },
+    /**
+     * Set the slide id used to pick a protected system prompt.
+     *
+     * Args:
+     *   id: Slide identifier (empty for the course default).
+     *
+     * Returns:
+     *   None.
+     */
+    setSlideId(id){
+      state.slideId = id ? String(id) : undefined;
+      setVar(VARS.slideId, state.slideId || '');
+    },
+    /**
+     * Use a server-side prompt template.
+     *
+     * Args:
+     *   id: Template id, optionally `id@version`; empty to stop using one.
+     *   vars: Placeholder values (optional).
+     *
+     * Returns:
+     *   None.
+     */
+    setTemplate(id, vars){
+      state.templateId = id ? String(id) : undefined;
+      if (typeof vars !== 'undefined') state.templateVars = vars || undefined;
+      setVar(VARS.templateId, state.templateId || '');
+    },
+    /**
+     * Grade answers against a rubric instead of chatting.
+     *
+     * Args:
+     *   options: { question, referenceAnswer, rubric, passThreshold } where
+     *     rubric is an array of { id, description, weight, maxPoints } or
+     *     `server` for the backend's grading template; null to stop grading.
+     *
+     * Returns:
+     *   None.
+     */
+    setGrading(options){
+      const o = options || {};
+      state.question = o.question ? String(o.question) : undefined;
+      state.referenceAnswer = o.referenceAnswer ? String(o.referenceAnswer) : undefined;
+      state.rubric = o.rubric ? (typeof o.rubric === 'string' ? o.rubric : JSON.stringify(o.rubric)) : undefined;
+      state.passThreshold = typeof o.passThreshold === 'number' ? o.passThreshold : undefined;
+      setVar(VARS.question, state.question || '');
+      setVar(VARS.referenceAnswer, state.referenceAnswer || '');
+      setVar(VARS.rubric, state.rubric || '');
+      setVar(VARS.passThreshold, typeof state.passThreshold === 'number' ? state.passThreshold : 0);
+    },
+    /**
+     * Get the learner reported by the SCORM LMS.
+     *
+     * Returns:
+     *   { version, id, name }, or null when no SCORM API was found.
+     */
+    getScormLearner(){ return scorm ? { ...scorm.learner } : null; },
+    /**
+     * Enable or disable `cmi.interactions` entries for AI exchanges.
+     *
+     * Args:
+     *   on: True to record each exchange in the LMS.
+     *
+     * Returns:
+     *   None.
+     */
+    setScormInteractions(on){
+      state.scormInteractions = !!on;
+      setVar(VARS.scormInteractions, state.scormInteractions);
+    },
     /**
      * Bind a preview audio element to the recorder.
      *
@@ -0,0 +1,241 @@
+/**
+ * Netlify Function for support staff to manage stored sessions and prompt templates.
+ *
+ * Requires `Authorization: Bearer <ADMIN_TOKEN>`. Actions (query parameters):
+ *   GET    ?action=list                      Sessions with metadata.
+ *   GET    ?action=get&sessionId=ID          Full session record.
+ *   GET    ?action=export&format=json|csv    Transcripts (all, or one with sessionId).
+ *   GET    ?action=templates                 Prompt templates with their latest version.
+ *   GET    ?action=template&templateId=ID    Template document with all versions.
+ *   PUT    ?action=template&templateId=ID    Publish a new template version (JSON body).
+ *   DELETE ?sessionId=ID                     Delete one session.
+ *   DELETE ?olderThanMinutes=N               Delete sessions idle for N minutes.
+ */
+
+const { getSession, deleteSession } = require('./generate');
+const { getStore } = require('./lib/storage');
+const { listTemplates, loadTemplateDocument, saveTemplateVersion } = require('./lib/templates');
+const { resolveCorsOrigin, corsHeaders, authorizeAdmin } = require('./lib/auth');
+
+/**
+ * Summarize a session for listings.
+ *
+ * Args:
+ *   sessionId: Session identifier.
+ *   session: Session object.
+ *
+ * Returns:
+ *   Metadata object without the transcript.
+ */
+function describeSession(sessionId, session) {
+    return {
+        sessionId,
+        createdAt: session.createdAt,
+        lastActivity: session.lastActivity,
+        turns: Math.floor((session.messages || []).length / 2),
+        systemPrompt: session.systemPrompt || '',
+        ...(session.template ? { template: session.template } : {}),
+        ...(session.pinnedPrompt ? { pinnedPrompt: session.pinnedPrompt } : {}),
+        ...(session.usage ? { usage: session.usage } : {}),
+    };
+}
+
+/**
+ * Load every stored session.
+ *
+ * Returns:
+ *   Array of { sessionId, session } sorted by last activity, newest first.
+ */
+async function loadAllSessions() {
+    const store = getStore();
+    const { blobs } = await store.list();
+    const sessions = [];
+    for (const { key } of blobs) {
+        const session = await getSession(key);
+        if (session) sessions.push({ sessionId: key, session });
+    }
+    return sessions.sort((a, b) => (b.session.lastActivity || 0) - (a.session.lastActivity || 0));
+}
+
+/**
+ * Quote a value for CSV output.
+ *
+ * Transcripts hold learner text, so cells a spreadsheet would read as a
+ * formula get a leading `'`.
+ *
+ * Args:
+ *   value: Cell value.
+ *
+ * Returns:
+ *   CSV-safe cell text.
+ */
+function csvCell(value) {
+    const raw = value === undefined || value === null ? '' : String(value);
+    const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render session transcripts as CSV, one row per message.
+ *
+ * Args:
+ *   sessions: Array of { sessionId, session }.
+ *
+ * Returns:
+ *   CSV text with a header row.
+ */
+function toCsv(sessions) {
+    const rows = [['sessionId', 'index', 'role', 'timestamp', 'text']];
+    sessions.forEach(({ sessionId, session }) => {
+        (session.messages || []).forEach((m, i) => {
+            rows.push([sessionId, i, m.role, m.timestamp ? new Date(m.timestamp).toISOString() : '', m.text]);
+        });
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Netlify Function handler for admin requests.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *
+ * Returns:
+ *   Netlify response object.
+ */
+exports.handler = async (event) => {
+
+    const cors = resolveCorsOrigin(event);
+    if (cors.error) {
+        return { statusCode: 403, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: cors.error }) };
+    }
+
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: corsHeaders(cors.origin, 'GET, PUT, DELETE, OPTIONS'), body: '' };
+    }
+
+    const headers = {
+        ...corsHeaders(cors.origin, 'GET, PUT, DELETE, OPTIONS'),
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+    };
+
+    const denied = authorizeAdmin(event);
+    if (denied) {
+        return { statusCode: denied.statusCode, headers, body: JSON.stringify({ error: denied.error }) };
+    }
+
+    const query = event.queryStringParameters || {};
+    const sessionId = query.sessionId;
+
+    try {
+        if (event.httpMethod === 'GET') {
+            const action = query.action || 'list';
+
+            if (action === 'list') {
+                const sessions = await loadAllSessions();
+                return { statusCode: 200, headers, body: JSON.stringify({
+                    sessions: sessions.map(({ sessionId: id, session }) => describeSession(id, session))
+                }) };
+            }
+
+            if (action === 'get') {
+                if (!sessionId) {
+                    return { statusCode: 400, headers, body: JSON.stringify({ error: 'sessionId is required.' }) };
+                }
+                const session = await getSession(sessionId);
+                if (!session) {
+                    return { statusCode: 404, headers, body: JSON.stringify({ error: 'Сессия не найдена.' }) };
+                }
+                return { statusCode: 200, headers, body: JSON.stringify({ sessionId, ...session }) };
+            }
+
+            if (action === 'export') {
+                let sessions;
+                if (sessionId) {
+                    const session = await getSession(sessionId);
+                    if (!session) {
+                        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Сессия не найдена.' }) };
+                    }
+                    sessions = [{ sessionId, session }];
+                } else {
+                    sessions = await loadAllSessions();
+                }
+                const format = (query.format || 'json').toLowerCase();
+                const filename = `sessions-${new Date().toISOString().slice(0, 10)}.${format === 'csv' ? 'csv' : 'json'}`;
+                if (format === 'csv') {
+                    return {
+                        statusCode: 200,
+                        headers: { ...headers, 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}"` },
+                        body: toCsv(sessions),
+                    };
+                }
+                return {
+                    statusCode: 200,
+                    headers: { ...headers, 'Content-Disposition': `attachment; filename="${filename}"` },
+                    body: JSON.stringify({ sessions: sessions.map(({ sessionId: id, session }) => ({ sessionId: id, ...session })) }),
+                };
+            }
+
+            if (action === 'templates') {
+                return { statusCode: 200, headers, body: JSON.stringify({ templates: await listTemplates() }) };
+            }
+
+            if (action === 'template') {
+                const doc = query.templateId ? await loadTemplateDocument(query.templateId) : null;
+                if (!doc) {
+                    return { statusCode: 404, headers, body: JSON.stringify({ error: `Шаблон не найден: ${query.templateId || ''}` }) };
+                }
+                return { statusCode: 200, headers, body: JSON.stringify({ templateId: query.templateId, ...doc }) };
+            }
+
+            return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown action: ${action}` }) };
+        }
+
+        if (event.httpMethod === 'PUT') {
+            if (query.action !== 'template') {
+                return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown action: ${query.action}` }) };
+            }
+            let fields;
+            try {
+                fields = JSON.parse(event.body || '{}');
+            } catch (_) {
+                return { statusCode: 400, headers, body: JSON.stringify({ error: 'Body must be JSON.' }) };
+            }
+            const saved = await saveTemplateVersion(query.templateId, fields);
+            if (saved.error) {
+                return { statusCode: saved.statusCode, headers, body: JSON.stringify({ error: saved.error }) };
+            }
+            return { statusCode: 200, headers, body: JSON.stringify({ templateId: saved.id, version: saved.version }) };
+        }
+
+        if (event.httpMethod === 'DELETE') {
+            if (sessionId) {
+                await deleteSession(sessionId);
+                return { statusCode: 200, headers, body: JSON.stringify({ deleted: [sessionId] }) };
+            }
+            const minutes = Number(query.olderThanMinutes);
+            if (!Number.isFinite(minutes) || minutes <= 0) {
+                return { statusCode: 400, headers, body: JSON.stringify({ error: 'sessionId or olderThanMinutes is required.' }) };
+            }
+            const cutoff = Date.now() - minutes * 60 * 1000;
+            const deleted = [];
+            for (const { sessionId: id, session } of await loadAllSessions()) {
+                if ((session.lastActivity || session.createdAt || 0) < cutoff) {
+                    await deleteSession(id);
+                    deleted.push(id);
+                }
+            }
+            return { statusCode: 200, headers, body: JSON.stringify({ deleted }) };
+        }
+
+        return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    } catch (error) {
+        console.error('Ошибка в админ-функции:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: error.message || 'Внутренняя ошибка сервера.' }),
+        };
+    }
+};
@@ -0,0 +1,78 @@
+/**
+ * Netlify Function that issues short-lived course tokens to allowed origins.
+ *
+ * Request: POST { courseId }. Response: { token, expiresAt, courseId }.
+ */
+
+const { resolveCorsOrigin, corsHeaders, createCourseToken } = require('./lib/auth');
+const { enforceLimits, limitResponse } = require('./generate');
+
+/**
+ * Read the optional course allowlist from `AI_COURSE_IDS`.
+ *
+ * Returns:
+ *   Array of course ids, or null when any course id is accepted.
+ */
+function getAllowedCourses() {
+    const ids = (process.env.AI_COURSE_IDS || '').split(',').map(c => c.trim()).filter(Boolean);
+    return ids.length > 0 ? ids : null;
+}
+
+/**
+ * Netlify Function handler for course token requests.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *
+ * Returns:
+ *   Netlify response object.
+ */
+exports.handler = async (event) => {
+
+    const cors = resolveCorsOrigin(event);
+    if (cors.error) {
+        return { statusCode: 403, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: cors.error }) };
+    }
+
+    if (event.httpMethod === 'OPTIONS') {
+        return { statusCode: 204, headers: corsHeaders(cors.origin), body: '' };
+    }
+
+    const headers = {
+        ...corsHeaders(cors.origin),
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+    };
+
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    if (!process.env.AI_TOKEN_SECRET) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Course tokens are not enabled.' }) };
+    }
+
+    // Token requests share the per-IP limit of generate requests.
+    const limited = await enforceLimits(event);
+    if (limited) return limitResponse(limited, headers);
+
+    let body;
+    try {
+        body = JSON.parse(event.body || '{}');
+    } catch (_) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid JSON body.' }) };
+    }
+
+    const courseId = body.courseId ? String(body.courseId).trim() : '';
+    if (!courseId) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'courseId не предоставлен.' }) };
+    }
+
+    const allowedCourses = getAllowedCourses();
+    if (allowedCourses && !allowedCourses.includes(courseId)) {
+        return { statusCode: 403, headers, body: JSON.stringify({ error: `Course ${courseId} is not allowed.` }) };
+    }
+
+    const { token, expiresAt } = createCourseToken(courseId);
+    return { statusCode: 200, headers, body: JSON.stringify({ token, expiresAt, courseId }) };
+};
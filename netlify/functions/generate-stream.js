@@ -0,0 +1,270 @@
+/**
+ * Netlify Function entry for streamed (Server-Sent Events) text requests.
+ *
+ * Events:
+ *   meta:  { provider, sessionId } once the provider is picked.
+ *   delta: { text } for each generated fragment.
+ *   done:  { generatedText, provider, model, template, usage, failover, sessionId, turns, sessionUsage } after the session is saved.
+ *   error: { error } when generation fails after the stream has started, or
+ *          { error, statusCode: 409, sessionId } when the turn could not be saved.
+ */
+
+const { PassThrough } = require('stream');
+const { stream } = require('@netlify/functions');
+const { readProviderEnv, normalizeResult } = require('./providers/registry');
+const {
+    loadSession,
+    deleteSession,
+    createNewSession,
+    formatMessagesForProvider,
+    resolveProvider,
+    getProviderChain,
+    prepareProviderCall,
+    enforceLimits,
+    limitResponse,
+    recordUsage,
+    recordXapi,
+    prepareTemplate,
+    commitTurn,
+    SESSION_CONFLICT_ERROR,
+} = require('./generate');
+const { resolveCorsOrigin, corsHeaders, authorizeRequest } = require('./lib/auth');
+const { isGradingRequest } = require('./lib/grading');
+
+/**
+ * Write one SSE event to the output stream.
+ *
+ * Args:
+ *   out: Writable stream.
+ *   event: Event name.
+ *   data: JSON-serializable payload.
+ *
+ * Returns:
+ *   None.
+ */
+function writeEvent(out, event, data) {
+    out.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a reply through the failover chain and persist the session.
+ *
+ * Args:
+ *   out: Writable stream for SSE events.
+ *   primary: Provider resolved for the request.
+ *   session: Session object.
+ *   etag: Session ETag from loadSession.
+ *   sessionId: Session identifier (optional).
+ *   prompt: User prompt.
+ *   options: Generation options passed to the adapter.
+ *   courseId: Course identifier for quota accounting (optional).
+ *   xapi: `xapi` request field for xAPI statements (optional).
+ *   template: { id, version } of the prompt template in use (optional).
+ *   pinnedPrompt: AI_PINNED_PROMPTS key of a new protected session (optional).
+ *
+ * Returns:
+ *   None. Ends the stream when finished.
+ */
+async function streamReply(out, primary, session, etag, sessionId, prompt, options, courseId, xapi, template, pinnedPrompt) {
+    const messagesForProvider = formatMessagesForProvider(session.systemPrompt, session.messages, prompt, session.summary);
+    const failover = [];
+
+    try {
+        for (const name of getProviderChain(primary)) {
+            const prepared = prepareProviderCall(name, primary, options, { streaming: true });
+            if (prepared.skip) {
+                failover.push({ provider: name, reason: prepared.skip.error });
+                continue;
+            }
+            if (prepared.error) {
+                writeEvent(out, 'error', { error: prepared.error });
+                return;
+            }
+            const { adapter } = prepared;
+
+            let started = false;
+            try {
+                console.log(`[Provider] ${name} (stream pipeline with session)`);
+                writeEvent(out, 'meta', { provider: name, sessionId });
+                const raw = await adapter.streamText(readProviderEnv(adapter), messagesForProvider, prepared.options, (delta) => {
+                    started = true;
+                    writeEvent(out, 'delta', { text: delta });
+                });
+                const result = normalizeResult(raw);
+                const usage = await recordUsage(courseId, name, messagesForProvider, result);
+
+                if (sessionId) {
+                    const committed = await commitTurn(sessionId, session, etag, {
+                        messages: [
+                            { role: 'user', text: prompt, timestamp: Date.now() },
+                            { role: 'assistant', text: result.text, timestamp: Date.now() },
+                        ],
+                        usage,
+                        template,
+                        pinnedPrompt,
+                    }, { provider: name, model: result.model, courseId });
+                    if (committed.conflict) {
+                        writeEvent(out, 'error', { error: SESSION_CONFLICT_ERROR, statusCode: 409, sessionId });
+                        return;
+                    }
+                    session = committed.session;
+                }
+
+                await recordXapi(xapi, {
+                    sessionId,
+                    courseId,
+                    prompt,
+                    response: result.text,
+                    provider: name,
+                    model: result.model,
+                });
+
+                writeEvent(out, 'done', {
+                    generatedText: result.text,
+                    provider: name,
+                    model: result.model,
+                    ...(template ? { template } : {}),
+                    ...(usage ? { usage } : {}),
+                    ...(failover.length > 0 ? { failover } : {}),
+                    sessionId,
+                    turns: Math.floor(session.messages.length / 2),
+                    ...(sessionId && session.usage ? { sessionUsage: session.usage } : {})
+                });
+                return;
+            } catch (error) {
+                // Once fragments reached the client we cannot switch providers mid-answer.
+                if (started) throw error;
+                console.warn(`[Failover] ${name} failed: ${error.message}`);
+                failover.push({ provider: name, reason: error.message });
+            }
+        }
+        const summary = failover.map(f => `${f.provider}: ${f.reason}`).join('; ');
+        writeEvent(out, 'error', { error: `All providers failed. ${summary}`, failover });
+    } catch (error) {
+        console.error('Ошибка в потоковой функции:', error);
+        writeEvent(out, 'error', { error: error.message || 'Внутренняя ошибка сервера.' });
+    } finally {
+        out.end();
+    }
+}
+
+/**
+ * Netlify Function handler for streamed AI requests.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *
+ * Returns:
+ *   Netlify response object with an SSE body stream.
+ */
+exports.handler = stream(async (event) => {
+
+    const cors = resolveCorsOrigin(event);
+    if (cors.error) {
+        return { statusCode: 403, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: cors.error }) };
+    }
+
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 204,
+            headers: corsHeaders(cors.origin),
+            body: '',
+        };
+    }
+
+    const headers = {
+        ...corsHeaders(cors.origin),
+        'Content-Type': 'application/json',
+    };
+
+    if (event.httpMethod !== 'POST') {
+        return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method Not Allowed' }) };
+    }
+
+    const auth = authorizeRequest(event);
+    if (auth.error) {
+        return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+    }
+
+    try {
+        const contentType = event.headers['content-type'] || event.headers['Content-Type'];
+        if (!contentType || !contentType.startsWith('application/json')) {
+            return { statusCode: 415, headers, body: JSON.stringify({ error: 'Streaming supports application/json text requests only.' }) };
+        }
+
+        const body = JSON.parse(event.body);
+        const prompt = body.prompt;
+        const sessionId = body.sessionId;
+        if (!prompt) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'Промпт не предоставлен.' }) };
+        }
+        if (isGradingRequest(body.task)) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'Grading requests are not streamed; send them to the generate function.' }) };
+        }
+        if (String(body.responseFormat || '').toLowerCase() === 'json') {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'JSON replies are not streamed; send them to the generate function.' }) };
+        }
+        if (body.tts === true) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'Speech synthesis is not streamed; send the request to the generate function.' }) };
+        }
+
+        const resolved = resolveProvider(body.provider);
+
+        if (body.endSession === true && sessionId) {
+            await deleteSession(sessionId);
+            return { statusCode: 200, headers, body: JSON.stringify({
+                message: 'Сессия завершена',
+                sessionId,
+                provider: resolved.provider
+            }) };
+        }
+
+        const courseId = auth.courseId || body.courseId;
+        const limited = await enforceLimits(event, sessionId, courseId);
+        if (limited) return limitResponse(limited, headers);
+
+        let session = null;
+        let etag = null;
+        if (sessionId) {
+            ({ session, etag } = await loadSession(sessionId));
+            if (body.resetContext === true && session) {
+                session.messages = [];
+                delete session.summary;
+                session.lastActivity = Date.now();
+            }
+        }
+        const templated = await prepareTemplate(session, body, { prompt, courseId, sessionId });
+        if (templated.error) {
+            return { statusCode: templated.statusCode, headers, body: JSON.stringify({ error: templated.error }) };
+        }
+        if (templated.restart) session = null;
+        if (!session) {
+            session = createNewSession(templated.system !== undefined ? templated.system : (body.system || ''));
+        }
+
+        const out = new PassThrough();
+        streamReply(out, resolved.provider, session, etag, sessionId, templated.prompt !== undefined ? templated.prompt : prompt, {
+            modelName: body.modelName,
+            modelUri: body.modelUri,
+            temperature: body.temperature,
+            maxTokens: body.maxTokens,
+        }, courseId, body.xapi, templated.template, templated.pinnedPrompt);
+
+        return {
+            statusCode: 200,
+            headers: {
+                ...corsHeaders(cors.origin),
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+            },
+            body: out,
+        };
+    } catch (error) {
+        console.error('Ошибка в потоковой функции:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ error: error.message || 'Внутренняя ошибка сервера.' }),
+        };
+    }
+});
@@ -3,105 +3,145 @@
  */
 
 const busboy = require('busboy');
-const { getStore } = require('@netlify/blobs');
-const { generateTextWithGemini, generateTextWithGeminiAndAudio } = require('./providers/gemini');
-const { generateTextWithOpenAI, generateTextWithOpenAIAndAudio } = require('./providers/openai');
-const { generateTextWithYandex, generateTextWithYandexAndAudio } = require('./providers/yandex');
-const { generateTextWithMistral } = require('./providers/mistral');
+const {
+    getProvider,
+    listProviders,
+    getMissingEnv,
+    readProviderEnv,
+    resolveGenerationOptions,
+    getContextBudget,
+    normalizeResult,
+} = require('./providers/registry');
+const { withJsonInstruction, checkJsonReply } = require('./lib/structured-output');
+const { resolveCorsOrigin, corsHeaders, authorizeRequest } = require('./lib/auth');
+const { getLimits, getClientKey, checkRateLimit, checkCourseQuota, recordCourseTokens, sweepCounters } = require('./lib/rate-limit');
+const { addUsage, withCost, recordLedger } = require('./lib/usage');
+const { estimateTokens, splitHistory, buildSummaryRequest, withSummary } = require('./lib/context');
+const { getStore } = require('./lib/storage');
+const { getXapiConfig, parseXapiContext, scoreFromJson, buildStatements, emitStatements } = require('./lib/xapi');
+const { parseTemplateRef, resolveTemplate, applyTemplate, findPinnedPrompt, withClientInstructions } = require('./lib/templates');
+const { isGradingRequest, parseGradingRequest, buildGradingSystem, buildGradingSchema, scoreGrade } = require('./lib/grading');
 
-// CORS origin for preflight and responses.
-const ALLOWED_ORIGIN = "*";
 
+// Store for rate-limit counters and course quotas.
+const RATE_LIMIT_STORE = 'ai-rate-limits';
+// Store for the per-course usage ledger.
+const USAGE_STORE = 'ai-usage';
+// Store for xAPI statements waiting to be retried.
+const XAPI_QUEUE_STORE = 'ai-xapi-queue';
 
+// Session limits and retention. SESSION_TTL_MINUTES env overrides the default TTL.
+const DEFAULT_SESSION_TTL_MINUTES = 60;
+const MAX_MESSAGES_IN_SESSION = 20;
+// Attempts to save a turn before answering 409 Conflict.
+const MAX_SAVE_ATTEMPTS = 3;
+const SESSION_CONFLICT_ERROR = 'Session was changed by another request and the turn could not be saved. Please retry.';
 
-// Optional manual Blobs config overrides.
-const NETLIFY_SITE_ID = process.env.N_SITE_ID || process.env.NETLIFY_SITE_ID;
-const NETLIFY_BLOBS_TOKEN = process.env.N_BLOB_TOKEN || process.env.NETLIFY_BLOBS_TOKEN;
-
-
-try {
-    console.log('[Blobs] Manual env detected:', {
-        hasSiteId: Boolean(NETLIFY_SITE_ID),
-        hasToken: Boolean(NETLIFY_BLOBS_TOKEN)
-    });
-} catch (_) {}
 
 /**
- * Create a Netlify Blobs store with manual or auto config.
+ * Read the session TTL from env.
  *
  * Returns:
- *   Netlify Blobs store instance.
+ *   TTL in minutes.
  */
-function getBlobsStore() {
-    try {
-        if (NETLIFY_SITE_ID && NETLIFY_BLOBS_TOKEN) {
-            console.log('[Blobs] Using manual config with siteID length:', NETLIFY_SITE_ID.length, 'token length:', NETLIFY_BLOBS_TOKEN.length);
-            const config = { name: 'ai-sessions', siteID: NETLIFY_SITE_ID, token: NETLIFY_BLOBS_TOKEN };
-            return getStore(config);
-        }
-        
-        console.log('[Blobs] Using auto config');
-        return getStore({ name: 'ai-sessions' });
-    } catch (e) {
-        console.error('[Blobs] Store creation failed:', e.message);
-        
-        throw e;
-    }
+function getSessionTtlMinutes() {
+    const ttl = Number(process.env.SESSION_TTL_MINUTES);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_SESSION_TTL_MINUTES;
 }
 
-
-// Session limits and retention.
-const SESSION_TTL_MINUTES = 60;
-const MAX_MESSAGES_IN_SESSION = 20;
+/**
+ * Check whether a session is past its TTL.
+ *
+ * Args:
+ *   lastActivity: Last activity timestamp in milliseconds.
+ *   now: Current timestamp in milliseconds.
+ *
+ * Returns:
+ *   True when the session has expired.
+ */
+function isSessionExpired(lastActivity, now = Date.now()) {
+    return (Number(lastActivity) || 0) + getSessionTtlMinutes() * 60 * 1000 < now;
+}
 
 
 /**
- * Load a session from Netlify Blobs.
+ * Load a session and its ETag from the session store.
  *
  * Args:
  *   sessionId: Session identifier.
  *
  * Returns:
- *   Session object or null when missing.
+ *   { session, etag }. Session is null when missing or expired (expired
+ *   sessions are deleted); etag is null for a missing session and undefined
+ *   when the store could not be read.
  */
-async function getSession(sessionId) {
-    if (!sessionId) return null;
+async function loadSession(sessionId) {
+    if (!sessionId) return { session: null, etag: null };
     try {
-        const store = getBlobsStore();
-        const sessionData = await store.get(sessionId, { type: 'json' });
-        return sessionData;
+        const store = getStore();
+        const entry = await store.getWithMetadata(sessionId, { type: 'json' });
+        if (!entry || !entry.data) return { session: null, etag: null };
+        const sessionData = entry.data;
+        if (isSessionExpired(sessionData.lastActivity || sessionData.createdAt)) {
+            console.log('[Session] Сессия истекла:', sessionId);
+            await store.delete(sessionId);
+            return { session: null, etag: null };
+        }
+        return { session: sessionData, etag: entry.etag };
     } catch (error) {
         console.warn('[Session] Ошибка загрузки сессии:', error.message);
-        return null;
+        return { session: null, etag: undefined };
     }
 }
 
 /**
- * Persist a session to Netlify Blobs.
+ * Load a session from the session store.
+ *
+ * Args:
+ *   sessionId: Session identifier.
+ *
+ * Returns:
+ *   Session object, or null when missing or expired (expired sessions are deleted).
+ */
+async function getSession(sessionId) {
+    return (await loadSession(sessionId)).session;
+}
+
+/**
+ * Persist a session to the session store.
  *
  * Args:
  *   sessionId: Session identifier.
  *   sessionData: Session payload.
+ *   etag: ETag the session was loaded with; null to write only if the session
+ *     does not exist yet; undefined to write unconditionally.
  *
  * Returns:
- *   None.
+ *   { saved: true, etag } on success, { saved: false, conflict: true } when the
+ *   stored session changed meanwhile, or { saved: false, error } on failure.
  */
-async function saveSession(sessionId, sessionData) {
-    if (!sessionId) return;
+async function saveSession(sessionId, sessionData, etag) {
+    if (!sessionId) return { saved: false };
     try {
-        const store = getBlobsStore();
-        await store.set(sessionId, JSON.stringify(sessionData), {
+        const store = getStore();
+        const condition = etag ? { onlyIfMatch: etag } : (etag === null ? { onlyIfNew: true } : {});
+        const result = await store.set(sessionId, JSON.stringify(sessionData), {
             metadata: { 
-                ttl: SESSION_TTL_MINUTES * 60 
-            }
+                ttl: getSessionTtlMinutes() * 60,
+                lastActivity: sessionData.lastActivity || Date.now()
+            },
+            ...condition
         });
+        if (result && result.modified === false) return { saved: false, conflict: true };
+        return { saved: true, etag: result && result.etag };
     } catch (error) {
         console.error('[Session] Ошибка сохранения сессии:', error.message);
+        return { saved: false, error: error.message };
     }
 }
 
 /**
- * Delete a session from Netlify Blobs.
+ * Delete a session from the session store.
  *
  * Args:
  *   sessionId: Session identifier.
@@ -112,13 +152,59 @@ async function saveSession(sessionId, sessionData) {
 async function deleteSession(sessionId) {
     if (!sessionId) return;
     try {
-        const store = getBlobsStore();
+        const store = getStore();
         await store.delete(sessionId);
     } catch (error) {
         console.warn('[Session] Ошибка удаления сессии:', error.message);
     }
 }
 
+/**
+ * Delete every session whose TTL has passed.
+ *
+ * Uses the `lastActivity` metadata written by saveSession and falls back to
+ * reading the session for entries saved without it.
+ *
+ * Args:
+ *   now: Current timestamp in milliseconds.
+ *
+ * Returns:
+ *   { checked, deleted } with the deleted session ids.
+ */
+async function sweepExpiredSessions(now = Date.now()) {
+    const store = getStore();
+    const { blobs } = await store.list();
+    const deleted = [];
+    for (const { key } of blobs) {
+        let lastActivity;
+        const meta = await store.getMetadata(key);
+        if (meta && meta.metadata && meta.metadata.lastActivity) {
+            lastActivity = meta.metadata.lastActivity;
+        } else {
+            const session = await store.get(key, { type: 'json' });
+            lastActivity = session ? (session.lastActivity || session.createdAt) : 0;
+        }
+        if (isSessionExpired(lastActivity, now)) {
+            await store.delete(key);
+            deleted.push(key);
+        }
+    }
+    return { checked: blobs.length, deleted };
+}
+
+/**
+ * Delete rate-limit and quota counters of past minutes and days.
+ *
+ * Args:
+ *   now: Current timestamp in milliseconds.
+ *
+ * Returns:
+ *   { checked, deleted } with the number of counters.
+ */
+async function sweepRateLimits(now = Date.now()) {
+    return sweepCounters(getStore(RATE_LIMIT_STORE), now);
+}
+
 /**
  * Create a new session object.
  *
@@ -137,22 +223,6 @@ function createNewSession(systemPrompt = '') {
     };
 }
 
-/**
- * Trim a message list to the last N items.
- *
- * Args:
- *   messages: Array of message objects.
- *   maxMessages: Max number of messages to keep.
- *
- * Returns:
- *   Trimmed message array.
- */
-function trimSessionHistory(messages, maxMessages = MAX_MESSAGES_IN_SESSION) {
-    if (messages.length <= maxMessages) return messages;
-    
-    return messages.slice(-maxMessages);
-}
-
 /**
  * Combine system prompt, history, and new input for providers.
  *
@@ -160,16 +230,17 @@ function trimSessionHistory(messages, maxMessages = MAX_MESSAGES_IN_SESSION) {
  *   systemPrompt: System prompt text.
  *   messages: Existing message history.
  *   newUserMessage: New user prompt.
+ *   summary: Rolling summary of earlier turns (optional), added after the system prompt.
  *
  * Returns:
  *   Array of provider message objects.
  */
-function formatMessagesForProvider(systemPrompt, messages, newUserMessage) {
+function formatMessagesForProvider(systemPrompt, messages, newUserMessage, summary) {
     const allMessages = [];
+    const systemText = withSummary(systemPrompt, summary);
     
-    
-    if (systemPrompt && systemPrompt.trim()) {
-        allMessages.push({ role: 'system', text: systemPrompt });
+    if (systemText && systemText.trim()) {
+        allMessages.push({ role: 'system', text: systemText });
     }
     
     
@@ -183,6 +254,329 @@ function formatMessagesForProvider(systemPrompt, messages, newUserMessage) {
     return allMessages;
 }
 
+/**
+ * Parse a numeric multipart form field.
+ *
+ * Args:
+ *   value: Raw field value.
+ *
+ * Returns:
+ *   Number, or undefined when the field is empty or not numeric.
+ */
+function parseNumberField(value) {
+    if (value === undefined || value === null || String(value).trim() === '') return undefined;
+    const n = Number(value);
+    return Number.isFinite(n) ? n : undefined;
+}
+
+/**
+ * Read the list of providers callers may request.
+ *
+ * Args:
+ *   defaultProvider: Provider selected by AI_PROVIDER.
+ *
+ * Returns:
+ *   Array of lowercase provider names.
+ */
+function getAllowedProviders(defaultProvider) {
+    const raw = process.env.AI_ALLOWED_PROVIDERS;
+    if (!raw || !raw.trim()) return [defaultProvider];
+    const list = raw
+        .split(',')
+        .map(p => p.trim().toLowerCase())
+        .filter(p => Boolean(getProvider(p)));
+    return list.length > 0 ? list : [defaultProvider];
+}
+
+/**
+ * Pick the provider for a request from the caller hint and the allowlist.
+ *
+ * The hint stays advisory for courses published before the allowlist existed:
+ * unknown or disallowed providers fall back to AI_PROVIDER with a warning.
+ *
+ * Args:
+ *   requested: Provider name sent by the client (optional).
+ *
+ * Returns:
+ *   Object with provider name.
+ */
+function resolveProvider(requested) {
+    const defaultProvider = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
+    const wanted = typeof requested === 'string' ? requested.trim().toLowerCase() : '';
+    if (!wanted) return { provider: defaultProvider };
+
+    if (!getProvider(wanted)) {
+        console.warn(`[Provider] Неизвестный провайдер ${wanted}, используется ${defaultProvider}.`);
+        return { provider: defaultProvider };
+    }
+    if (!getAllowedProviders(defaultProvider).includes(wanted)) {
+        console.warn(`[Provider] Провайдер ${wanted} не разрешён в AI_ALLOWED_PROVIDERS, используется ${defaultProvider}.`);
+        return { provider: defaultProvider };
+    }
+    return { provider: wanted };
+}
+
+/**
+ * Check that a provider can serve a request before calling it.
+ *
+ * Args:
+ *   name: Provider name.
+ *   withAudio: Whether the request carries audio input.
+ *
+ * Returns:
+ *   Null when the provider is usable, otherwise { statusCode, error }.
+ */
+function checkProvider(name, withAudio) {
+    const adapter = getProvider(name);
+    if (!adapter) {
+        return { statusCode: 500, error: `Unknown provider: ${name}. Expected one of: ${listProviders().join(', ')}.` };
+    }
+    const missing = getMissingEnv(adapter);
+    if (missing.length > 0) {
+        return { statusCode: 500, error: `${missing.join('/')} не задан(ы).` };
+    }
+    if (withAudio && !adapter.capabilities.audio) {
+        return { statusCode: 400, error: `${name} does not support audio input. Use a text request.` };
+    }
+    return null;
+}
+
+/**
+ * Call a provider through the registry and normalize its result.
+ *
+ * Args:
+ *   name: Provider name.
+ *   messages: Provider message array.
+ *   audioBase64: Base64 audio payload, or undefined for text requests.
+ *   options: Generation options passed to the adapter.
+ *
+ * Returns:
+ *   Object with text, transcript, model, and usage.
+ */
+async function callProvider(name, messages, audioBase64, options) {
+    const adapter = getProvider(name);
+    const env = readProviderEnv(adapter);
+    if (audioBase64) {
+        console.log(`[Provider] ${name} (audio pipeline with session)`);
+        return normalizeResult(await adapter.generateWithAudio(env, messages, audioBase64, options));
+    }
+    console.log(`[Provider] ${name} (text pipeline with session)`);
+    return normalizeResult(await adapter.generateText(env, messages, options));
+}
+
+/**
+ * Parse the responseFormat/jsonSchema request fields.
+ *
+ * Args:
+ *   responseFormat: 'json' to request structured output, anything else for text.
+ *   jsonSchema: JSON Schema object or JSON string (optional).
+ *
+ * Returns:
+ *   { responseFormat, jsonSchema } or { error } when the schema is not valid JSON.
+ */
+function parseResponseFormat(responseFormat, jsonSchema) {
+    if (String(responseFormat || '').toLowerCase() !== 'json') return {};
+    if (jsonSchema === undefined || jsonSchema === null || jsonSchema === '') {
+        return { responseFormat: 'json' };
+    }
+    let schema = jsonSchema;
+    if (typeof schema === 'string') {
+        try {
+            schema = JSON.parse(schema);
+        } catch (_) {
+            return { error: 'jsonSchema is not valid JSON.' };
+        }
+    }
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return { error: 'jsonSchema must be a JSON object.' };
+    }
+    return { responseFormat: 'json', jsonSchema: schema };
+}
+
+/**
+ * Validate a JSON-mode reply and ask the provider once to fix it when invalid.
+ *
+ * Args:
+ *   name: Provider name.
+ *   messages: Provider message array used for the first call.
+ *   result: Normalized provider result.
+ *   options: Generation options (responseFormat, jsonSchema, ...).
+ *
+ * Returns:
+ *   Result with `json` and, when still invalid, `jsonErrors`.
+ */
+async function ensureJsonResult(name, messages, result, options) {
+    let checked = checkJsonReply(result.text, options.jsonSchema);
+    if (checked.errors.length === 0) return { ...result, json: checked.value };
+
+    console.warn(`[JSON] ${name} reply invalid, retrying once: ${checked.errors.join('; ')}`);
+    const retryMessages = [
+        ...messages,
+        ...(result.transcript ? [{ role: 'user', text: result.transcript }] : []),
+        { role: 'assistant', text: result.text },
+        { role: 'user', text: `Your previous reply was invalid: ${checked.errors.join('; ')}. Reply again with only the corrected JSON object.` },
+    ];
+    const retry = await callProvider(name, retryMessages, undefined, options);
+    checked = checkJsonReply(retry.text, options.jsonSchema);
+    return {
+        ...retry,
+        transcript: result.transcript,
+        usage: addUsage(result.usage, retry.usage),
+        json: checked.value,
+        ...(checked.errors.length > 0 ? { jsonErrors: checked.errors } : {}),
+    };
+}
+
+/**
+ * Build the ordered list of providers to try for a request.
+ *
+ * Args:
+ *   primary: Provider resolved for the request.
+ *
+ * Returns:
+ *   Array of provider names, primary first, then AI_PROVIDER_CHAIN entries.
+ */
+function getProviderChain(primary) {
+    const chain = [primary];
+    const raw = process.env.AI_PROVIDER_CHAIN || '';
+    raw.split(',')
+        .map(p => p.trim().toLowerCase())
+        .filter(p => p && getProvider(p))
+        .forEach(p => { if (!chain.includes(p)) chain.push(p); });
+    return chain;
+}
+
+/**
+ * Check a provider of the failover chain and resolve its generation options.
+ *
+ * Args:
+ *   name: Provider to try.
+ *   primary: Provider resolved for the request.
+ *   options: Generation options of the request.
+ *   needs: { audio, streaming } capabilities the request needs (optional).
+ *
+ * Returns:
+ *   { adapter, options } when the provider can be called, { skip } with
+ *   { statusCode, error } to move on to the next provider, or { error }
+ *   when the options are invalid for this provider.
+ */
+function prepareProviderCall(name, primary, options, needs = {}) {
+    const providerError = checkProvider(name, Boolean(needs.audio));
+    if (providerError) return { skip: providerError };
+    const adapter = getProvider(name);
+    if (needs.streaming && !adapter.capabilities.streaming) {
+        return { skip: { statusCode: 400, error: `${name} does not support streaming.` } };
+    }
+
+    // Model overrides only make sense for the provider they were written for.
+    const generation = resolveGenerationOptions(adapter, name === primary
+        ? options
+        : { ...options, modelName: undefined, modelUri: undefined });
+    if (generation.error) return { error: generation.error };
+    return { adapter, options: generation.options };
+}
+
+/**
+ * Call providers in failover order until one succeeds.
+ *
+ * Args:
+ *   primary: Provider resolved for the request.
+ *   messages: Provider message array.
+ *   audioBase64: Base64 audio payload, or undefined for text requests.
+ *   options: Generation options passed to the adapter.
+ *
+ * Returns:
+ *   { provider, result, failover } on success, or { error: { statusCode, error }, failover }.
+ */
+async function callProviderChain(primary, messages, audioBase64, options) {
+    const chain = getProviderChain(primary);
+    const failover = [];
+    let lastError = null;
+
+    for (const name of chain) {
+        const prepared = prepareProviderCall(name, primary, options, { audio: Boolean(audioBase64) });
+        if (prepared.skip) {
+            lastError = prepared.skip;
+            failover.push({ provider: name, reason: prepared.skip.error });
+            continue;
+        }
+        if (prepared.error) {
+            return { error: { statusCode: 400, error: prepared.error }, failover };
+        }
+
+        try {
+            const providerMessages = prepared.options.responseFormat === 'json'
+                ? withJsonInstruction(messages, prepared.options.jsonSchema)
+                : messages;
+            let result = await callProvider(name, providerMessages, audioBase64, prepared.options);
+            if (prepared.options.responseFormat === 'json') {
+                result = await ensureJsonResult(name, providerMessages, result, prepared.options);
+            }
+            return { provider: name, result, failover };
+        } catch (error) {
+            console.warn(`[Failover] ${name} failed: ${error.message}`);
+            lastError = { statusCode: 500, error: error.message || 'Внутренняя ошибка сервера.' };
+            failover.push({ provider: name, reason: lastError.error });
+        }
+    }
+
+    if (chain.length > 1) {
+        const summary = failover.map(f => `${f.provider}: ${f.reason}`).join('; ');
+        return { error: { statusCode: 502, error: `All providers failed. ${summary}` }, failover };
+    }
+    return { error: lastError, failover };
+}
+
+/**
+ * Pick the text-to-speech provider for a request.
+ *
+ * Args:
+ *   requested: TTS provider sent by the client (optional).
+ *   chatProvider: Provider that generated the reply.
+ *
+ * Returns:
+ *   Object with provider name.
+ */
+function resolveTtsProvider(requested, chatProvider) {
+    if (requested) return resolveProvider(requested);
+    if (process.env.TTS_PROVIDER) return { provider: process.env.TTS_PROVIDER.toLowerCase() };
+    return { provider: chatProvider };
+}
+
+/**
+ * Synthesize the assistant reply as speech.
+ *
+ * Args:
+ *   text: Reply text.
+ *   chatProvider: Provider that generated the reply.
+ *   tts: { provider, voice, language } request options; language falls back
+ *     to the request's STT language.
+ *
+ * Returns:
+ *   { audioBase64, audioMimeType, ttsProvider } or { ttsError } when synthesis is unavailable.
+ */
+async function synthesizeReply(text, chatProvider, tts) {
+    const name = resolveTtsProvider(tts.provider, chatProvider).provider;
+    const adapter = getProvider(name);
+    if (!adapter || !adapter.capabilities.tts) {
+        return { ttsError: `${name} does not support speech synthesis. Set TTS_PROVIDER or ttsProvider.` };
+    }
+    const missing = getMissingEnv(adapter);
+    if (missing.length > 0) {
+        return { ttsError: `${missing.join('/')} не задан(ы).` };
+    }
+    if (!text || !text.trim()) return { ttsError: 'Nothing to synthesize.' };
+
+    try {
+        console.log(`[TTS] ${name}`);
+        const speech = await adapter.synthesizeSpeech(readProviderEnv(adapter), text, { voice: tts.voice, lang: tts.language });
+        return { audioBase64: speech.audioBase64, audioMimeType: speech.mimeType, ttsProvider: name };
+    } catch (error) {
+        console.warn(`[TTS] ${name} failed: ${error.message}`);
+        return { ttsError: error.message };
+    }
+}
+
 /**
  * Parse a multipart/form-data request into fields and files.
  *
@@ -224,6 +618,369 @@ function parseMultipartForm(event) {
     });
 }
 
+/**
+ * Apply the per-IP and per-session rate limits and the per-course daily quota.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *   sessionId: Session identifier (optional).
+ *   courseId: Course identifier (optional).
+ *
+ * Returns:
+ *   null when the request may proceed, or { statusCode: 429, error, retryAfter }.
+ */
+async function enforceLimits(event, sessionId, courseId) {
+    try {
+        const store = getStore(RATE_LIMIT_STORE);
+        const { perMinute, perIpPerMinute } = getLimits();
+        return await checkRateLimit(store, getClientKey(event), perIpPerMinute)
+            || (sessionId ? await checkRateLimit(store, `session:${sessionId}`, perMinute) : null)
+            || await checkCourseQuota(store, courseId);
+    } catch (error) {
+        // Limits are best-effort: storage problems must not block learners.
+        console.warn('[RateLimit] Проверка лимитов не удалась:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Build the 429 response for a rejected request.
+ *
+ * Args:
+ *   limited: Value returned by enforceLimits.
+ *   headers: Base response headers.
+ *
+ * Returns:
+ *   Netlify response object.
+ */
+function limitResponse(limited, headers) {
+    return {
+        statusCode: limited.statusCode,
+        headers: { ...headers, 'Retry-After': String(limited.retryAfter) },
+        body: JSON.stringify({ error: limited.error, retryAfter: limited.retryAfter }),
+    };
+}
+
+/**
+ * Account a finished request: price its usage, count it against the course's
+ * daily token quota, and add it to the course usage ledger.
+ *
+ * Args:
+ *   courseId: Course identifier (optional).
+ *   provider: Provider that produced the result.
+ *   messages: Provider message array sent for the request.
+ *   result: Normalized provider result.
+ *
+ * Returns:
+ *   Usage with optional cost, or null when the provider reported none.
+ */
+async function recordUsage(courseId, provider, messages, result) {
+    const usage = withCost(provider, result.model, result.usage);
+    if (courseId) {
+        // Rough 4-characters-per-token estimate when the provider reports no usage.
+        const tokens = (usage && usage.totalTokens)
+            || Math.ceil((messages.reduce((sum, m) => sum + (m.text || '').length, 0) + (result.text || '').length) / 4);
+        try {
+            await recordCourseTokens(getStore(RATE_LIMIT_STORE), courseId, tokens);
+        } catch (error) {
+            console.warn('[RateLimit] Не удалось записать расход токенов:', error.message);
+        }
+    }
+    try {
+        await recordLedger(getStore(USAGE_STORE), courseId, provider, result.model, usage);
+    } catch (error) {
+        console.warn('[Usage] Не удалось обновить журнал расхода:', error.message);
+    }
+    return usage;
+}
+
+/**
+ * Send xAPI statements for an answered turn when an LRS is configured.
+ *
+ * Best-effort: failures are queued for the xapi-retry function and never
+ * fail the request.
+ *
+ * Args:
+ *   rawContext: `xapi` request field (object or JSON string).
+ *   details: { sessionId, courseId, prompt, transcript, response, provider,
+ *     model, json, jsonSchema } of the turn; `score` and `success` replace
+ *     the score read from the JSON reply (grading requests).
+ *
+ * Returns:
+ *   None.
+ */
+async function recordXapi(rawContext, details) {
+    const config = getXapiConfig();
+    if (!config) return;
+    const context = parseXapiContext(rawContext);
+    if (!context) return;
+    try {
+        const statements = buildStatements(config, context, {
+            ...details,
+            score: details.score || scoreFromJson(details.json, details.jsonSchema),
+        });
+        await emitStatements(getStore(XAPI_QUEUE_STORE), config, statements);
+    } catch (error) {
+        console.warn('[xAPI] Не удалось записать выражения:', error.message);
+    }
+}
+
+/**
+ * Keep session history within the provider's token budget.
+ *
+ * Turns that no longer fit are dropped, or folded into `session.summary` by
+ * the same provider when SESSION_SUMMARY is enabled.
+ *
+ * Args:
+ *   session: Session object (modified in place).
+ *   providerName: Provider that answered the last turn.
+ *   model: Model reported for the last turn (optional).
+ *   courseId: Course identifier for usage accounting (optional).
+ *
+ * Returns:
+ *   None.
+ */
+async function compactSession(session, providerName, model, courseId) {
+    const budget = getContextBudget(getProvider(providerName), model);
+    const { older, newer } = splitHistory(session.messages, budget, MAX_MESSAGES_IN_SESSION, estimateTokens(session.summary));
+    if (older.length === 0) return;
+    session.messages = newer;
+    if (process.env.SESSION_SUMMARY !== 'true') return;
+
+    try {
+        const result = await callProvider(providerName, buildSummaryRequest(session.summary, older), undefined, {});
+        if (result.text.trim()) session.summary = result.text.trim();
+        const usage = await recordUsage(courseId, providerName, [], result);
+        session.usage = addUsage(session.usage, usage);
+    } catch (error) {
+        // The turns are already trimmed; a failed summary only loses their details.
+        console.warn('[Session] Не удалось обновить сводку:', error.message);
+    }
+}
+
+/**
+ * Append a finished turn to a session and save it with optimistic concurrency.
+ *
+ * The write succeeds only if the stored session still has the ETag it was
+ * loaded with. On conflict the latest version is reloaded, the turn is
+ * appended to it, and the write is retried.
+ *
+ * Args:
+ *   sessionId: Session identifier.
+ *   session: Session object the request was answered from.
+ *   etag: ETag from loadSession.
+ *   turn: { messages, usage, template, pinnedPrompt } produced by the request;
+ *     template and pinnedPrompt are recorded when the session has none.
+ *   context: { provider, model, courseId } of the turn.
+ *
+ * Returns:
+ *   { session } with the saved session, or { conflict: true } when the
+ *   session was ended meanwhile or retries ran out.
+ */
+async function commitTurn(sessionId, session, etag, turn, context) {
+    let current = session;
+    let currentEtag = etag;
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+        current.messages.push(...turn.messages);
+        current.usage = addUsage(current.usage, turn.usage);
+        if (turn.template && !current.template) current.template = turn.template;
+        if (turn.pinnedPrompt && !current.pinnedPrompt) current.pinnedPrompt = turn.pinnedPrompt;
+        await compactSession(current, context.provider, context.model, context.courseId);
+        current.lastActivity = Date.now();
+
+        const saved = await saveSession(sessionId, current, currentEtag);
+        // Storage errors keep the old behaviour: answer anyway, the turn is not persisted.
+        if (!saved.conflict) return { session: current };
+
+        console.warn(`[Session] Конфликт записи ${sessionId} (попытка ${attempt}), объединяем с последней версией.`);
+        const latest = await loadSession(sessionId);
+        if (!latest.session) return { conflict: true };
+        current = latest.session;
+        currentEtag = latest.etag;
+    }
+    return { conflict: true };
+}
+
+/**
+ * Resolve the prompt template of a request.
+ *
+ * A session keeps the template version it was pinned to; otherwise the
+ * requested template (latest version unless one is given) applies. The
+ * system prompt is only rendered for new sessions, which freeze it.
+ *
+ * When AI_PINNED_PROMPTS protects the course or slide, its template replaces
+ * the requested one and the client `system` is only appended (or ignored).
+ * Its system prompt is rendered from the template defaults and the server's
+ * courseId and sessionId; `templateVars` only reach the user prompt.
+ * A stored session that did not start from a protected prompt may carry a
+ * client-supplied system prompt, so it is started over (`restart`).
+ *
+ * Args:
+ *   session: Loaded session, or null when a new one will be created.
+ *   request: { templateId, templateVersion, templateVars, system, slideId }
+ *     request fields; templateVars may be a JSON string (multipart).
+ *   fields: { prompt, courseId, sessionId } available as placeholders.
+ *
+ * Returns:
+ *   {} without a template, { template: { id, version }, system, prompt,
+ *   pinnedPrompt, restart } with the rendered parts, or { statusCode, error }.
+ */
+async function prepareTemplate(session, request, fields) {
+    const pinned = findPinnedPrompt(fields.courseId, request.slideId);
+    if (pinned && pinned.error) return { statusCode: 500, error: pinned.error };
+    const requested = pinned ? pinned.ref : parseTemplateRef(request.templateId, request.templateVersion);
+    if (requested && requested.error) return { statusCode: 400, error: requested.error };
+    const restart = !!(pinned && session && !session.pinnedPrompt);
+    if (restart) {
+        console.warn(`[Template] Сессия ${fields.sessionId} начата без защищённого промпта ${pinned.key}, начинаем заново.`);
+        session = null;
+    }
+    const ref = (session && session.template) || requested;
+    if (!ref) return {};
+    if (requested && requested.id !== ref.id) {
+        console.warn(`[Template] Сессия закреплена за ${ref.id}@${ref.version}, ${requested.id} игнорируется.`);
+    }
+
+    let vars = request.templateVars;
+    if (typeof vars === 'string') {
+        try {
+            vars = vars.trim() ? JSON.parse(vars) : undefined;
+        } catch (_) {
+            return { statusCode: 400, error: 'templateVars is not valid JSON.' };
+        }
+    }
+    if (vars !== undefined && vars !== null && (typeof vars !== 'object' || Array.isArray(vars))) {
+        return { statusCode: 400, error: 'templateVars must be an object.' };
+    }
+
+    const template = await resolveTemplate(ref);
+    // A missing protected template is a server misconfiguration, not a bad request.
+    if (template.error) return pinned ? { statusCode: 500, error: template.error } : template;
+    const rendered = applyTemplate(template, { ...fields, ...(vars || {}) }, {
+        system: !session,
+        ...(pinned ? { systemValues: { courseId: fields.courseId, sessionId: fields.sessionId } } : {}),
+    });
+    if (rendered.error) return { statusCode: 400, error: rendered.error };
+    const result = { template: { id: template.id, version: template.version }, ...rendered };
+    if (pinned && !session) {
+        result.system = withClientInstructions(rendered.system || '', request.system);
+        result.pinnedPrompt = pinned.key;
+    }
+    if (restart) result.restart = true;
+    return result;
+}
+
+/**
+ * Resolve the grading of a `task: "grade"` request.
+ *
+ * A `grading` block in the protected template of the course or slide, else
+ * in the requested template, supplies the question, reference answer, rubric
+ * and pass threshold, and the client's grading fields are ignored. Without
+ * one, the client's fields are used (`source: "client"`).
+ *
+ * Args:
+ *   fields: Request fields (task, question, referenceAnswer, rubric,
+ *     passThreshold, templateId, templateVersion, slideId).
+ *   courseId: Course identifier (optional).
+ *
+ * Returns:
+ *   Parsed grading request with `source` (`template` or `client`), null when
+ *   the request does not ask for grading, or { statusCode, error }.
+ */
+async function resolveGrading(fields, courseId) {
+    if (!isGradingRequest(fields.task)) return null;
+    const pinned = findPinnedPrompt(courseId, fields.slideId);
+    if (pinned && pinned.error) return { statusCode: 500, error: pinned.error };
+    const ref = pinned ? pinned.ref : parseTemplateRef(fields.templateId, fields.templateVersion);
+    if (ref && ref.error) return { statusCode: 400, error: ref.error };
+    const template = ref ? await resolveTemplate(ref) : null;
+    if (template && template.error) return pinned ? { statusCode: 500, error: template.error } : template;
+
+    if (template && template.grading) {
+        const grading = parseGradingRequest(template.grading);
+        // A broken rubric in a template is a server misconfiguration.
+        if (grading.error) return { statusCode: 500, error: `Template ${template.id}@${template.version}: ${grading.error}` };
+        return { ...grading, source: 'template' };
+    }
+    const grading = parseGradingRequest(fields);
+    return grading.error ? { statusCode: 400, error: grading.error } : { ...grading, source: 'client' };
+}
+
+/**
+ * Grade a learner answer against a rubric (`task: "grade"` requests).
+ *
+ * Grading is stateless: the session is neither read nor updated, and the
+ * request's `system` is ignored. A client-defined rubric and threshold can be
+ * edited by the learner, so only template grades reach the LRS as a score.
+ *
+ * Args:
+ *   grading: Grading request from resolveGrading.
+ *   request: { provider, answer, audioBase64, audioFormat, options, tts,
+ *     courseId, sessionId, xapi } of the request.
+ *   headers: Response headers.
+ *
+ * Returns:
+ *   HTTP response with the `grade`, or an error response (502 when the reply
+ *   still does not match the rubric after the JSON retry).
+ */
+async function handleGrading(grading, request, headers) {
+    const messages = [
+        { role: 'system', text: buildGradingSystem(grading) },
+        { role: 'user', text: request.answer },
+    ];
+    const jsonSchema = buildGradingSchema(grading);
+    const outcome = await callProviderChain(request.provider, messages, request.audioBase64, {
+        ...request.options,
+        audioFormat: request.audioFormat,
+        responseFormat: 'json',
+        jsonSchema,
+    });
+    if (outcome.error) {
+        return { statusCode: outcome.error.statusCode, headers, body: JSON.stringify({
+            error: outcome.error.error,
+            ...(outcome.failover.length > 0 ? { failover: outcome.failover } : {})
+        }) };
+    }
+    const provider = outcome.provider;
+    const result = outcome.result;
+    const usage = await recordUsage(request.courseId, provider, messages, result);
+    if (result.jsonErrors) {
+        console.warn(`[Grading] Ответ ${provider} не соответствует рубрике: ${result.jsonErrors.join('; ')}`);
+        return { statusCode: 502, headers, body: JSON.stringify({
+            error: 'The grading reply did not match the rubric.',
+            jsonErrors: result.jsonErrors,
+            provider,
+        }) };
+    }
+
+    const grade = { ...scoreGrade(result.json, grading), source: grading.source };
+    await recordXapi(request.xapi, {
+        sessionId: request.sessionId,
+        courseId: request.courseId,
+        prompt: request.answer,
+        transcript: result.transcript,
+        response: grade.feedback,
+        provider,
+        model: result.model,
+        ...(grading.source === 'template'
+            ? { score: { raw: grade.score, min: 0, max: 100, scaled: grade.score / 100 }, success: grade.passed }
+            : {}),
+    });
+
+    const speech = request.tts ? await synthesizeReply(grade.feedback, provider, request.tts) : {};
+
+    return { statusCode: 200, headers, body: JSON.stringify({
+        generatedText: grade.feedback,
+        provider,
+        model: result.model,
+        grade,
+        ...(usage ? { usage } : {}),
+        ...(outcome.failover.length > 0 ? { failover: outcome.failover } : {}),
+        ...speech,
+        ...(result.transcript !== undefined ? { transcript: result.transcript } : {}),
+    }) };
+}
+
 /**
  * Netlify Function handler for AI requests.
  *
@@ -235,33 +992,36 @@ function parseMultipartForm(event) {
  */
 exports.handler = async (event) => {
     
+    const cors = resolveCorsOrigin(event);
+    if (cors.error) {
+        return { statusCode: 403, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: cors.error }) };
+    }
+
     if (event.httpMethod === 'OPTIONS') {
         return {
             statusCode: 204,
-            headers: {
-                'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'POST, OPTIONS',
-            },
+            headers: corsHeaders(cors.origin),
             body: '',
         };
     }
 
     const headers = {
-        'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+        ...corsHeaders(cors.origin),
         'Content-Type': 'application/json',
     };
 
     if (event.httpMethod !== 'POST') {
         return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method Not Allowed' }) };
     }
+
+    const auth = authorizeRequest(event);
+    if (auth.error) {
+        return { statusCode: auth.statusCode, headers, body: JSON.stringify({ error: auth.error }) };
+    }
     
-    const provider = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
-    const geminiApiKey = process.env.GEMINI_API_KEY;
-    const openaiApiKey = process.env.OPENAI_API_KEY;
-    const yandexApiKey = process.env.YANDEX_API_KEY;
-    const yandexFolderId = process.env.YANDEX_FOLDER_ID;
-    const mistralApiKey = process.env.MISTRAL_API_KEY;
+    // Signed course ids take precedence over the unsigned `courseId` field.
+    const courseId = auth.courseId;
+    let provider = (process.env.AI_PROVIDER || 'gemini').toLowerCase();
 
     try {
         let requestParts = [];
@@ -275,7 +1035,33 @@ exports.handler = async (event) => {
             const endSession = parsed.fields.endSession === 'true';
             const resetContext = parsed.fields.resetContext === 'true';
             const audioFormat = parsed.fields.audioFormat; 
+            const generationOptions = {
+                modelName: parsed.fields.modelName || undefined,
+                modelUri: parsed.fields.modelUri || undefined,
+                temperature: parseNumberField(parsed.fields.temperature),
+                maxTokens: parseNumberField(parsed.fields.maxTokens),
+                sttLanguage: parsed.fields.sttLanguage || process.env.STT_LANGUAGE || undefined,
+                sttSampleRate: parseNumberField(parsed.fields.sttSampleRate),
+            };
+            const format = parseResponseFormat(parsed.fields.responseFormat, parsed.fields.jsonSchema);
+            if (format.error) {
+                return { statusCode: 400, headers, body: JSON.stringify({ error: format.error }) };
+            }
+            const tts = parsed.fields.tts === 'true'
+                ? {
+                    provider: parsed.fields.ttsProvider,
+                    voice: parsed.fields.ttsVoice,
+                    language: parsed.fields.ttsLanguage || generationOptions.sttLanguage,
+                }
+                : null;
             const audioFile = parsed.files.find(f => f.fieldname === 'audio');
+            const grading = await resolveGrading(parsed.fields, courseId || parsed.fields.courseId);
+            if (grading && grading.error) {
+                return { statusCode: grading.statusCode, headers, body: JSON.stringify({ error: grading.error }) };
+            }
+
+            const resolved = resolveProvider(parsed.fields.provider);
+            provider = resolved.provider;
             
             if (!audioFile) {
                 throw new Error("Аудиофайл не предоставлен.");
@@ -291,73 +1077,104 @@ exports.handler = async (event) => {
                 }) };
             }
 
+            const limited = await enforceLimits(event, sessionId, courseId || parsed.fields.courseId);
+            if (limited) return limitResponse(limited, headers);
+
+            if (grading) {
+                return await handleGrading(grading, {
+                    provider,
+                    answer: prompt || 'The learner answered by voice; grade the attached recording.',
+                    audioBase64: audioFile.content.toString('base64'),
+                    audioFormat,
+                    options: generationOptions,
+                    tts,
+                    courseId: courseId || parsed.fields.courseId,
+                    sessionId,
+                    xapi: parsed.fields.xapi,
+                }, headers);
+            }
             
             let session = null;
+            let etag = null;
             if (sessionId) {
-                session = await getSession(sessionId);
+                ({ session, etag } = await loadSession(sessionId));
                 if (resetContext && session) {
                     session.messages = [];
+                    delete session.summary;
                     session.lastActivity = Date.now();
                 }
             }
+            const templated = await prepareTemplate(session, parsed.fields, { prompt: prompt || '', courseId: courseId || parsed.fields.courseId, sessionId });
+            if (templated.error) {
+                return { statusCode: templated.statusCode, headers, body: JSON.stringify({ error: templated.error }) };
+            }
+            if (templated.restart) session = null;
             if (!session) {
-                session = createNewSession(system || '');
+                session = createNewSession(templated.system !== undefined ? templated.system : (system || ''));
             }
+            const userPrompt = templated.prompt !== undefined ? templated.prompt : prompt;
 
             const audioBase64 = audioFile.content.toString('base64');
-            let text;
-            let transcript;
             
-            
-            const messagesForProvider = formatMessagesForProvider(session.systemPrompt, session.messages, prompt);
-            
-            if (provider === 'openai') {
-                if (!openaiApiKey) {
-                    return { statusCode: 500, headers, body: JSON.stringify({ error: 'OPENAI_API_KEY не задан.' }) };
-                }
-                console.log('[Provider] openai (audio pipeline with session)');
-                const res = await generateTextWithOpenAIAndAudio(openaiApiKey, messagesForProvider, audioBase64);
-                text = typeof res === 'string' ? res : res.message;
-                transcript = typeof res === 'object' ? res.transcript : undefined;
-            } else if (provider === 'gemini') {
-                if (!geminiApiKey) {
-                    return { statusCode: 500, headers, body: JSON.stringify({ error: 'GEMINI_API_KEY не задан.' }) };
-                }
-                console.log('[Provider] gemini (audio pipeline with session)');
-                text = await generateTextWithGeminiAndAudio(geminiApiKey, messagesForProvider, audioBase64);
-            } else if (provider === 'yandex') {
-                if (!yandexApiKey || !yandexFolderId) {
-                    return { statusCode: 500, headers, body: JSON.stringify({ error: 'YANDEX_API_KEY/YANDEX_FOLDER_ID не заданы.' }) };
-                }
-                console.log('[Provider] yandex (audio pipeline with session)');
-                const res = await generateTextWithYandexAndAudio(
-                    yandexApiKey,
-                    yandexFolderId,
-                    messagesForProvider,
-                    audioBase64,
-                    { format: audioFormat || 'oggopus', lang: 'ru-RU', sampleRateHertz: 48000 }
-                );
-                text = typeof res === 'string' ? res : res.message;
-                transcript = typeof res === 'object' ? res.transcript : undefined;
-            } else if (provider === 'mistral') {
-                return { statusCode: 400, headers, body: JSON.stringify({ error: 'Mistral does not support audio input. Use a text request.' }) };
-            }
+            const messagesForProvider = formatMessagesForProvider(session.systemPrompt, session.messages, userPrompt, session.summary);
 
+            const outcome = await callProviderChain(provider, messagesForProvider, audioBase64, { ...generationOptions, ...format, audioFormat });
+            if (outcome.error) {
+                return { statusCode: outcome.error.statusCode, headers, body: JSON.stringify({
+                    error: outcome.error.error,
+                    ...(outcome.failover.length > 0 ? { failover: outcome.failover } : {})
+                }) };
+            }
+            provider = outcome.provider;
+            const result = outcome.result;
+            const text = result.text;
+            const transcript = result.transcript;
+            const usage = await recordUsage(courseId || parsed.fields.courseId, provider, messagesForProvider, result);
             
             if (sessionId) {
-                session.messages.push({ role: 'user', text: transcript || prompt, timestamp: Date.now() });
-                session.messages.push({ role: 'assistant', text: text, timestamp: Date.now() });
-                session.messages = trimSessionHistory(session.messages);
-                session.lastActivity = Date.now();
-                await saveSession(sessionId, session);
+                const committed = await commitTurn(sessionId, session, etag, {
+                    messages: [
+                        { role: 'user', text: transcript || userPrompt, timestamp: Date.now() },
+                        { role: 'assistant', text: text, timestamp: Date.now() },
+                    ],
+                    usage,
+                    template: templated.template,
+                    pinnedPrompt: templated.pinnedPrompt,
+                }, { provider, model: result.model, courseId: courseId || parsed.fields.courseId });
+                if (committed.conflict) {
+                    return { statusCode: 409, headers, body: JSON.stringify({ error: SESSION_CONFLICT_ERROR, sessionId }) };
+                }
+                session = committed.session;
             }
 
+            await recordXapi(parsed.fields.xapi, {
+                sessionId,
+                courseId: courseId || parsed.fields.courseId,
+                prompt,
+                transcript,
+                response: text,
+                provider,
+                model: result.model,
+                json: result.json,
+                jsonSchema: format.jsonSchema,
+            });
+
+            const speech = tts ? await synthesizeReply(text, provider, tts) : {};
+
             return { statusCode: 200, headers, body: JSON.stringify({ 
                 generatedText: text, 
                 provider, 
+                model: result.model,
+                ...(templated.template ? { template: templated.template } : {}),
+                ...(usage ? { usage } : {}),
+                ...(outcome.failover.length > 0 ? { failover: outcome.failover } : {}),
+                ...speech,
+                ...(result.json !== undefined ? { json: result.json } : {}),
+                ...(result.jsonErrors ? { jsonErrors: result.jsonErrors } : {}),
                 transcript,
                 sessionId,
-                turns: session ? Math.floor(session.messages.length / 2) : 0
+                turns: session ? Math.floor(session.messages.length / 2) : 0,
+                ...(sessionId && session.usage ? { sessionUsage: session.usage } : {})
             }) };
 
         } else if (contentType && contentType.startsWith('application/json')) {
@@ -371,9 +1188,33 @@ exports.handler = async (event) => {
             var modelUri = body.modelUri;   
             var temperature = body.temperature;
             var maxTokens = body.maxTokens;
+            var format = parseResponseFormat(body.responseFormat, body.jsonSchema);
+            var tts = body.tts === true
+                ? { provider: body.ttsProvider, voice: body.ttsVoice, language: body.ttsLanguage || body.sttLanguage || process.env.STT_LANGUAGE || undefined }
+                : null;
+            var requestCourseId = courseId || body.courseId;
+            var xapi = body.xapi;
+            var grading = await resolveGrading(body, requestCourseId);
+            var templateRequest = {
+                templateId: body.templateId,
+                templateVersion: body.templateVersion,
+                templateVars: body.templateVars,
+                system: body.system,
+                slideId: body.slideId,
+            };
             if (!prompt) throw new Error("Промпт не предоставлен.");
             requestParts.push(prompt);
 
+            const resolved = resolveProvider(body.provider);
+            provider = resolved.provider;
+
+            if (format.error) {
+                return { statusCode: 400, headers, body: JSON.stringify({ error: format.error }) };
+            }
+            if (grading && grading.error) {
+                return { statusCode: grading.statusCode, headers, body: JSON.stringify({ error: grading.error }) };
+            }
+
         } else {
             throw new Error(`Неподдерживаемый или отсутствующий Content-Type: ${contentType}`);
         }
@@ -388,69 +1229,100 @@ exports.handler = async (event) => {
             }) };
         }
 
+        const limited = await enforceLimits(event, sessionId, requestCourseId);
+        if (limited) return limitResponse(limited, headers);
+
+        if (grading) {
+            return await handleGrading(grading, {
+                provider,
+                answer: requestParts[0],
+                options: { modelName, modelUri, temperature, maxTokens },
+                tts,
+                courseId: requestCourseId,
+                sessionId,
+                xapi,
+            }, headers);
+        }
         
         let session = null;
+        let etag = null;
         if (sessionId) {
-            session = await getSession(sessionId);
+            ({ session, etag } = await loadSession(sessionId));
             if (resetContext && session) {
                 session.messages = [];
+                delete session.summary;
                 session.lastActivity = Date.now();
             }
         }
+        const templated = await prepareTemplate(session, templateRequest, { prompt: requestParts[0], courseId: requestCourseId, sessionId });
+        if (templated.error) {
+            return { statusCode: templated.statusCode, headers, body: JSON.stringify({ error: templated.error }) };
+        }
+        if (templated.restart) session = null;
         if (!session) {
-            session = createNewSession(system || '');
+            session = createNewSession(templated.system !== undefined ? templated.system : (system || ''));
         }
+        if (templated.prompt !== undefined) requestParts[0] = templated.prompt;
 
         
-        const messagesForProvider = formatMessagesForProvider(session.systemPrompt, session.messages, requestParts[0]);
+        const messagesForProvider = formatMessagesForProvider(session.systemPrompt, session.messages, requestParts[0], session.summary);
 
-        
-        let text;
-        if (provider === 'openai') {
-            if (!openaiApiKey) {
-                return { statusCode: 500, headers, body: JSON.stringify({ error: 'OPENAI_API_KEY не задан.' }) };
-            }
-            console.log('[Provider] openai (text pipeline with session)');
-            text = await generateTextWithOpenAI(openaiApiKey, messagesForProvider);
-        } else if (provider === 'gemini') {
-            if (!geminiApiKey) {
-                return { statusCode: 500, headers, body: JSON.stringify({ error: 'GEMINI_API_KEY не задан.' }) };
-            }
-            console.log('[Provider] gemini (text pipeline with session)');
-            text = await generateTextWithGemini(geminiApiKey, messagesForProvider);
-        } else if (provider === 'yandex') {
-            if (!yandexApiKey || !yandexFolderId) {
-                return { statusCode: 500, headers, body: JSON.stringify({ error: 'YANDEX_API_KEY/YANDEX_FOLDER_ID не заданы.' }) };
-            }
-            console.log('[Provider] yandex (text pipeline with session)');
-            text = await generateTextWithYandex(
-                yandexApiKey,
-                yandexFolderId,
-                messagesForProvider,
-                { modelName, modelUri, temperature, maxTokens }
-            );
-        } else if (provider === 'mistral') {
-            if (!mistralApiKey) {
-                return { statusCode: 500, headers, body: JSON.stringify({ error: 'MISTRAL_API_KEY is not set.' }) };
-            }
-            console.log('[Provider] mistral (text pipeline with session)');
-            text = await generateTextWithMistral(mistralApiKey, messagesForProvider);
+
+        const outcome = await callProviderChain(provider, messagesForProvider, undefined, { modelName, modelUri, temperature, maxTokens, ...format });
+        if (outcome.error) {
+            return { statusCode: outcome.error.statusCode, headers, body: JSON.stringify({
+                error: outcome.error.error,
+                ...(outcome.failover.length > 0 ? { failover: outcome.failover } : {})
+            }) };
         }
+        provider = outcome.provider;
+        const result = outcome.result;
+        const text = result.text;
+        const usage = await recordUsage(requestCourseId, provider, messagesForProvider, result);
 
         
         if (sessionId) {
-            session.messages.push({ role: 'user', text: requestParts[0], timestamp: Date.now() });
-            session.messages.push({ role: 'assistant', text: text, timestamp: Date.now() });
-            session.messages = trimSessionHistory(session.messages);
-            session.lastActivity = Date.now();
-            await saveSession(sessionId, session);
+            const committed = await commitTurn(sessionId, session, etag, {
+                messages: [
+                    { role: 'user', text: requestParts[0], timestamp: Date.now() },
+                    { role: 'assistant', text: text, timestamp: Date.now() },
+                ],
+                usage,
+                template: templated.template,
+                pinnedPrompt: templated.pinnedPrompt,
+            }, { provider, model: result.model, courseId: requestCourseId });
+            if (committed.conflict) {
+                return { statusCode: 409, headers, body: JSON.stringify({ error: SESSION_CONFLICT_ERROR, sessionId }) };
+            }
+            session = committed.session;
         }
 
+        await recordXapi(xapi, {
+            sessionId,
+            courseId: requestCourseId,
+            prompt: requestParts[0],
+            response: text,
+            provider,
+            model: result.model,
+            json: result.json,
+            jsonSchema: format.jsonSchema,
+        });
+
+        const speech = tts ? await synthesizeReply(text, provider, tts) : {};
+
         return { statusCode: 200, headers, body: JSON.stringify({ 
             generatedText: text, 
             provider,
+            model: result.model,
+            ...(templated.template ? { template: templated.template } : {}),
+            ...(usage ? { usage } : {}),
+            ...(outcome.failover.length > 0 ? { failover: outcome.failover } : {}),
+            ...speech,
+            ...(result.json !== undefined ? { json: result.json } : {}),
+            ...(result.jsonErrors ? { jsonErrors: result.jsonErrors } : {}),
             sessionId,
-            turns: session ? Math.floor(session.messages.length / 2) : 0
+            turns: session ? Math.floor(session.messages.length / 2) : 0,
+            ...(sessionId && session.usage ? { sessionUsage: session.usage } : {})
         }) };
 
     } catch (error) {
@@ -462,3 +1334,28 @@ exports.handler = async (event) => {
         };
     }
 };
+
+// Shared helpers for companion functions.
+exports.loadSession = loadSession;
+exports.getSession = getSession;
+exports.saveSession = saveSession;
+exports.deleteSession = deleteSession;
+exports.sweepExpiredSessions = sweepExpiredSessions;
+exports.sweepRateLimits = sweepRateLimits;
+exports.createNewSession = createNewSession;
+exports.compactSession = compactSession;
+exports.commitTurn = commitTurn;
+exports.SESSION_CONFLICT_ERROR = SESSION_CONFLICT_ERROR;
+exports.formatMessagesForProvider = formatMessagesForProvider;
+exports.resolveProvider = resolveProvider;
+exports.getProviderChain = getProviderChain;
+exports.checkProvider = checkProvider;
+exports.prepareProviderCall = prepareProviderCall;
+exports.enforceLimits = enforceLimits;
+exports.limitResponse = limitResponse;
+exports.recordUsage = recordUsage;
+exports.recordXapi = recordXapi;
+exports.prepareTemplate = prepareTemplate;
+exports.resolveGrading = resolveGrading;
+exports.handleGrading = handleGrading;
+exports.XAPI_QUEUE_STORE = XAPI_QUEUE_STORE;
@@ -0,0 +1,195 @@
+/**
+ * Origin allowlist, signed course tokens, and the admin token check.
+ *
+ * Tokens have the form `<payload>.<signature>`, where payload is base64url JSON
+ * `{ courseId, exp }` and signature is base64url HMAC-SHA256 of the payload
+ * with `AI_TOKEN_SECRET`. Tokens are required only when the secret is set.
+ */
+
+const crypto = require('crypto');
+
+// Header carrying the course token.
+const TOKEN_HEADER = 'x-course-token';
+// Default token lifetime.
+const DEFAULT_TOKEN_TTL_SECONDS = 3600;
+
+/**
+ * Read a request header case-insensitively.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *   name: Lowercase header name.
+ *
+ * Returns:
+ *   Header value or undefined.
+ */
+function getHeader(event, name) {
+    const headers = (event && event.headers) || {};
+    const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+/**
+ * Read the origin allowlist from `AI_ALLOWED_ORIGINS`.
+ *
+ * Returns:
+ *   Array of origins, or null when every origin is allowed.
+ */
+function getAllowedOrigins() {
+    const raw = process.env.AI_ALLOWED_ORIGINS || '';
+    const origins = raw.split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+    if (origins.length === 0 || origins.includes('*')) return null;
+    return origins;
+}
+
+/**
+ * Decide which origin to echo in CORS headers.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *
+ * Returns:
+ *   { origin } to use in `Access-Control-Allow-Origin`, or { error } when the
+ *   request origin is not allowed.
+ */
+function resolveCorsOrigin(event) {
+    const allowed = getAllowedOrigins();
+    if (!allowed) return { origin: '*' };
+    const origin = getHeader(event, 'origin');
+    if (origin && allowed.includes(origin.replace(/\/+$/, ''))) return { origin };
+    return { error: `Origin ${origin || '(none)'} is not allowed.` };
+}
+
+/**
+ * Build CORS headers for an allowed origin.
+ *
+ * Args:
+ *   origin: Value from resolveCorsOrigin.
+ *   methods: Allowed methods (defaults to POST, OPTIONS).
+ *
+ * Returns:
+ *   Header object.
+ */
+function corsHeaders(origin, methods = 'POST, OPTIONS') {
+    const headers = {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Headers': 'Content-Type, X-Course-Token, Authorization',
+        'Access-Control-Allow-Methods': methods,
+    };
+    if (origin !== '*') headers.Vary = 'Origin';
+    return headers;
+}
+
+/**
+ * Compute the base64url HMAC signature of a token payload.
+ *
+ * Args:
+ *   payload: Encoded payload string.
+ *   secret: Signing secret.
+ *
+ * Returns:
+ *   Signature string.
+ */
+function sign(payload, secret) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+}
+
+/**
+ * Create a signed course token.
+ *
+ * Args:
+ *   courseId: Course identifier.
+ *   secret: Signing secret (defaults to AI_TOKEN_SECRET).
+ *   ttlSeconds: Token lifetime (defaults to AI_TOKEN_TTL_SECONDS or 1 hour).
+ *
+ * Returns:
+ *   { token, expiresAt } with expiresAt in milliseconds.
+ */
+function createCourseToken(courseId, secret = process.env.AI_TOKEN_SECRET, ttlSeconds) {
+    const ttl = Number(ttlSeconds || process.env.AI_TOKEN_TTL_SECONDS) || DEFAULT_TOKEN_TTL_SECONDS;
+    const exp = Math.floor(Date.now() / 1000) + ttl;
+    const payload = Buffer.from(JSON.stringify({ courseId: String(courseId), exp })).toString('base64url');
+    return { token: `${payload}.${sign(payload, secret)}`, expiresAt: exp * 1000 };
+}
+
+/**
+ * Verify a course token.
+ *
+ * Args:
+ *   token: Token string.
+ *   secret: Signing secret (defaults to AI_TOKEN_SECRET).
+ *
+ * Returns:
+ *   { courseId, exp } when valid, or { error }.
+ */
+function verifyCourseToken(token, secret = process.env.AI_TOKEN_SECRET) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 2) return { error: 'Malformed course token.' };
+    const [payload, signature] = parts;
+    const expected = Buffer.from(sign(payload, secret));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return { error: 'Invalid course token signature.' };
+    }
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (_) {
+        return { error: 'Malformed course token.' };
+    }
+    if (!data || !data.courseId || typeof data.exp !== 'number') return { error: 'Malformed course token.' };
+    if (data.exp * 1000 < Date.now()) return { error: 'Course token expired.' };
+    return { courseId: data.courseId, exp: data.exp };
+}
+
+/**
+ * Check the course token of a request when tokens are enabled.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *
+ * Returns:
+ *   { courseId } (undefined when tokens are disabled), or { statusCode, error }
+ *   with 401 for a missing token and 403 for an invalid or expired one.
+ */
+function authorizeRequest(event) {
+    if (!process.env.AI_TOKEN_SECRET) return { courseId: undefined };
+    const token = getHeader(event, TOKEN_HEADER);
+    if (!token) return { statusCode: 401, error: 'Course token required.' };
+    const verified = verifyCourseToken(token);
+    if (verified.error) return { statusCode: 403, error: verified.error };
+    return { courseId: verified.courseId };
+}
+
+/**
+ * Check the admin bearer token against `ADMIN_TOKEN`.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *
+ * Returns:
+ *   null when authorized, or { statusCode, error } (404 when admin access is
+ *   disabled, 401 for a missing token, 403 for a wrong one).
+ */
+function authorizeAdmin(event) {
+    const secret = process.env.ADMIN_TOKEN;
+    if (!secret) return { statusCode: 404, error: 'Admin endpoint is disabled.' };
+    const header = getHeader(event, 'authorization') || '';
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) return { statusCode: 401, error: 'Admin token required.' };
+    const expected = crypto.createHash('sha256').update(secret).digest();
+    const actual = crypto.createHash('sha256').update(match[1].trim()).digest();
+    if (!crypto.timingSafeEqual(expected, actual)) return { statusCode: 403, error: 'Invalid admin token.' };
+    return null;
+}
+
+module.exports = {
+    getHeader,
+    getAllowedOrigins,
+    resolveCorsOrigin,
+    corsHeaders,
+    createCourseToken,
+    verifyCourseToken,
+    authorizeRequest,
+    authorizeAdmin,
+};
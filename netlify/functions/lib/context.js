@@ -0,0 +1,129 @@
+/**
+ * Token-budget helpers for session history and rolling summaries.
+ *
+ * Token counts are estimates: providers tokenize differently and the
+ * history is trimmed before the request, so a cheap heuristic is enough.
+ */
+
+// Share of the budget kept as recent turns after compaction, so a summary is
+// not regenerated on every turn.
+const KEEP_RATIO = 0.6;
+
+/**
+ * Estimate the token count of a text.
+ *
+ * Uses ~3 characters per token, a middle ground between English (~4) and
+ * Cyrillic (~2) text.
+ *
+ * Args:
+ *   text: Text to measure.
+ *
+ * Returns:
+ *   Estimated token count.
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 3);
+}
+
+/**
+ * Estimate the token count of a message list.
+ *
+ * Args:
+ *   messages: Array of { role, text } messages.
+ *
+ * Returns:
+ *   Estimated token count.
+ */
+function countMessageTokens(messages) {
+    return messages.reduce((sum, m) => sum + estimateTokens(m.text) + 4, 0);
+}
+
+/**
+ * Decide which history messages to keep under a token budget.
+ *
+ * Nothing is dropped while the history fits the budget and the message cap.
+ * Otherwise the newest messages filling KEEP_RATIO of the budget are kept,
+ * always at least the last turn, starting on a user message.
+ *
+ * Args:
+ *   messages: Session history, oldest first.
+ *   budget: Token budget for history (including the summary).
+ *   maxMessages: Hard cap on stored messages.
+ *   summaryTokens: Tokens already used by the stored summary.
+ *
+ * Returns:
+ *   { older, newer } where older are the messages to summarize or drop.
+ */
+function splitHistory(messages, budget, maxMessages, summaryTokens = 0) {
+    const total = countMessageTokens(messages) + summaryTokens;
+    if (total <= budget && messages.length <= maxMessages) {
+        return { older: [], newer: messages };
+    }
+
+    const keepBudget = Math.floor(budget * KEEP_RATIO);
+    let start = messages.length;
+    let used = 0;
+    while (start > 0) {
+        const cost = countMessageTokens([messages[start - 1]]);
+        const keptCount = messages.length - start;
+        if (keptCount >= 2 && (used + cost > keepBudget || keptCount + 1 > maxMessages)) break;
+        used += cost;
+        start -= 1;
+    }
+    // Never open the kept history with an assistant reply.
+    while (start < messages.length - 1 && messages[start].role !== 'user') start += 1;
+
+    return { older: messages.slice(0, start), newer: messages.slice(start) };
+}
+
+/**
+ * Build the provider messages that ask for an updated rolling summary.
+ *
+ * Args:
+ *   previousSummary: Existing summary text (optional).
+ *   older: Messages being folded into the summary.
+ *
+ * Returns:
+ *   Array of { role, text } messages.
+ */
+function buildSummaryRequest(previousSummary, older) {
+    const transcript = older
+        .map(m => `${m.role === 'assistant' ? 'Assistant' : 'User'}: ${m.text}`)
+        .join('\n');
+    return [
+        {
+            role: 'system',
+            text: 'You keep a running summary of a learning conversation. Merge the previous summary and the new turns '
+                + 'into one concise summary in the language of the conversation. Keep facts about the learner, their answers, '
+                + 'decisions and open questions. Reply with the summary only.',
+        },
+        {
+            role: 'user',
+            text: `Previous summary:\n${previousSummary || '(none)'}\n\nNew turns:\n${transcript}`,
+        },
+    ];
+}
+
+/**
+ * Combine the system prompt with the conversation summary.
+ *
+ * Args:
+ *   systemPrompt: System prompt text.
+ *   summary: Rolling summary (optional).
+ *
+ * Returns:
+ *   System text with the summary appended, or the prompt unchanged.
+ */
+function withSummary(systemPrompt, summary) {
+    if (!summary) return systemPrompt;
+    const base = systemPrompt && systemPrompt.trim() ? `${systemPrompt}\n\n` : '';
+    return `${base}Summary of the earlier conversation:\n${summary}`;
+}
+
+module.exports = {
+    estimateTokens,
+    countMessageTokens,
+    splitHistory,
+    buildSummaryRequest,
+    withSummary,
+};
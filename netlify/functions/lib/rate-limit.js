@@ -0,0 +1,187 @@
+/**
+ * Request rate limits and per-course daily quotas backed by a key-value store.
+ *
+ * Counters are read-modify-write on the store, so concurrent requests may
+ * undercount slightly. That is acceptable for abuse protection. Keys end in
+ * their minute or UTC day; no backend expires them, so sweepCounters deletes
+ * past ones.
+ */
+
+const { getHeader } = require('./auth');
+
+// Defaults when the env vars are not set. A whole classroom may share one
+// address behind NAT, so the per-IP limit is much higher than per session.
+const DEFAULT_REQUESTS_PER_MINUTE = 20;
+const DEFAULT_REQUESTS_PER_IP_PER_MINUTE = 300;
+
+/**
+ * Read limits from env.
+ *
+ * Returns:
+ *   { perMinute, perIpPerMinute, courseDailyRequests, courseDailyTokens };
+ *   0 disables a limit.
+ */
+function getLimits() {
+    const read = (name, fallback) => {
+        const raw = process.env[name];
+        if (raw === undefined || raw === '') return fallback;
+        const value = Number(raw);
+        return Number.isFinite(value) && value > 0 ? Math.floor(value) : 0;
+    };
+    return {
+        perMinute: read('RATE_LIMIT_PER_MINUTE', DEFAULT_REQUESTS_PER_MINUTE),
+        perIpPerMinute: read('RATE_LIMIT_PER_IP_PER_MINUTE', DEFAULT_REQUESTS_PER_IP_PER_MINUTE),
+        courseDailyRequests: read('COURSE_DAILY_REQUESTS', 0),
+        courseDailyTokens: read('COURSE_DAILY_TOKENS', 0),
+    };
+}
+
+/**
+ * Identify the caller for per-minute limits.
+ *
+ * Session ids are chosen by the client, so requests always count against
+ * the client address (RATE_LIMIT_PER_IP_PER_MINUTE); sessions are counted
+ * separately against RATE_LIMIT_PER_MINUTE. Proxies append to
+ * X-Forwarded-For, so only its last entry is not client-controlled.
+ *
+ * Args:
+ *   event: Netlify function event.
+ *
+ * Returns:
+ *   `ip:<address>`.
+ */
+function getClientKey(event) {
+    const forwarded = getHeader(event, 'x-forwarded-for');
+    const ip = getHeader(event, 'x-nf-client-connection-ip')
+        || (forwarded ? String(forwarded).split(',').pop().trim() : '')
+        || 'unknown';
+    return `ip:${ip}`;
+}
+
+/**
+ * Return the UTC day key and seconds until the next UTC midnight.
+ *
+ * Args:
+ *   now: Timestamp in milliseconds.
+ *
+ * Returns:
+ *   { day, secondsLeft }.
+ */
+function utcDay(now) {
+    const date = new Date(now);
+    const next = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    return { day: date.toISOString().slice(0, 10), secondsLeft: Math.ceil((next - now) / 1000) };
+}
+
+/**
+ * Count a request against a per-minute limit.
+ *
+ * Args:
+ *   store: Store for counters (see lib/storage).
+ *   clientKey: Value from getClientKey, or `session:<id>`.
+ *   perMinute: Requests allowed per minute (0 disables the limit).
+ *   now: Timestamp in milliseconds.
+ *
+ * Returns:
+ *   null when allowed, or { statusCode: 429, error, retryAfter }.
+ */
+async function checkRateLimit(store, clientKey, perMinute, now = Date.now()) {
+    if (!perMinute) return null;
+    const minute = Math.floor(now / 60000);
+    const key = `minute/${clientKey}/${minute}`;
+    const entry = (await store.get(key, { type: 'json' })) || { count: 0 };
+    if (entry.count >= perMinute) {
+        return {
+            statusCode: 429,
+            error: `Rate limit exceeded: ${perMinute} requests per minute.`,
+            retryAfter: Math.max(1, Math.ceil(((minute + 1) * 60000 - now) / 1000)),
+        };
+    }
+    await store.set(key, JSON.stringify({ count: entry.count + 1 }));
+    return null;
+}
+
+/**
+ * Check the daily quota of a course and count the request.
+ *
+ * Args:
+ *   store: Store for counters (see lib/storage).
+ *   courseId: Course identifier (optional; no quota without it).
+ *   now: Timestamp in milliseconds.
+ *
+ * Returns:
+ *   null when allowed, or { statusCode: 429, error, retryAfter }.
+ */
+async function checkCourseQuota(store, courseId, now = Date.now()) {
+    const { courseDailyRequests, courseDailyTokens } = getLimits();
+    if (!courseId || (!courseDailyRequests && !courseDailyTokens)) return null;
+    const { day, secondsLeft } = utcDay(now);
+    const key = `day/${courseId}/${day}`;
+    const entry = (await store.get(key, { type: 'json' })) || { requests: 0, tokens: 0 };
+    if (courseDailyRequests && entry.requests >= courseDailyRequests) {
+        return { statusCode: 429, error: `Daily request quota exceeded for course ${courseId}.`, retryAfter: secondsLeft };
+    }
+    if (courseDailyTokens && entry.tokens >= courseDailyTokens) {
+        return { statusCode: 429, error: `Daily token quota exceeded for course ${courseId}.`, retryAfter: secondsLeft };
+    }
+    await store.set(key, JSON.stringify({ ...entry, requests: entry.requests + 1 }));
+    return null;
+}
+
+/**
+ * Add consumed tokens to the daily counter of a course.
+ *
+ * Args:
+ *   store: Store for counters (see lib/storage).
+ *   courseId: Course identifier (optional).
+ *   tokens: Tokens used by the request.
+ *   now: Timestamp in milliseconds.
+ *
+ * Returns:
+ *   None.
+ */
+async function recordCourseTokens(store, courseId, tokens, now = Date.now()) {
+    const { courseDailyTokens } = getLimits();
+    if (!courseId || !courseDailyTokens || !tokens) return;
+    const { day } = utcDay(now);
+    const key = `day/${courseId}/${day}`;
+    const entry = (await store.get(key, { type: 'json' })) || { requests: 0, tokens: 0 };
+    await store.set(key, JSON.stringify({ ...entry, tokens: entry.tokens + tokens }));
+}
+
+/**
+ * Delete counters of past minutes and days.
+ *
+ * Args:
+ *   store: Store for counters (see lib/storage).
+ *   now: Timestamp in milliseconds.
+ *
+ * Returns:
+ *   { checked, deleted } with the number of keys.
+ */
+async function sweepCounters(store, now = Date.now()) {
+    const minute = Math.floor(now / 60000);
+    const { day } = utcDay(now);
+    const { blobs } = await store.list();
+    let deleted = 0;
+    for (const { key } of blobs) {
+        const bucket = key.slice(key.lastIndexOf('/') + 1);
+        const stale = key.startsWith('minute/') ? Number(bucket) < minute
+            : key.startsWith('day/') ? bucket < day
+            : false;
+        if (stale) {
+            await store.delete(key);
+            deleted += 1;
+        }
+    }
+    return { checked: blobs.length, deleted };
+}
+
+module.exports = {
+    getLimits,
+    getClientKey,
+    checkRateLimit,
+    checkCourseQuota,
+    recordCourseTokens,
+    sweepCounters,
+};
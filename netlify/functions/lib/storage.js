@@ -0,0 +1,249 @@
+/**
+ * Key-value storage backends for sessions, rate limits and usage ledgers.
+ *
+ * `STORAGE_BACKEND` selects the backend:
+ *   blobs   Netlify Blobs (default).
+ *   memory  Process memory; data is lost on restart. For tests and local runs.
+ *   fs      JSON files under `STORAGE_DIR` (default `.data`). For a single
+ *           Node process, e.g. a self-hosted server.
+ *
+ * Every store implements the subset of the Netlify Blobs store API used here:
+ *   get(key, { type })                 Value (parsed with type 'json') or null.
+ *   getWithMetadata(key, { type })     { data, etag, metadata } or null.
+ *   getMetadata(key)                   { etag, metadata } or null.
+ *   set(key, value, { metadata, onlyIfMatch, onlyIfNew })
+ *                                      { modified, etag }; modified is false
+ *                                      when a condition did not hold.
+ *   delete(key)                        None.
+ *   list({ prefix })                   { blobs: [{ key, etag }] }.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const BACKENDS = ['blobs', 'memory', 'fs'];
+const DEFAULT_STORAGE_DIR = '.data';
+
+// Optional manual Blobs config overrides.
+const NETLIFY_SITE_ID = process.env.N_SITE_ID || process.env.NETLIFY_SITE_ID;
+const NETLIFY_BLOBS_TOKEN = process.env.N_BLOB_TOKEN || process.env.NETLIFY_BLOBS_TOKEN;
+
+// Memory stores live for the lifetime of the process, one Map per store name.
+const memoryStores = new Map();
+
+/**
+ * Read the storage backend from `STORAGE_BACKEND`.
+ *
+ * Returns:
+ *   Backend name. Throws for an unknown backend.
+ */
+function getStorageBackend() {
+    const backend = (process.env.STORAGE_BACKEND || 'blobs').trim().toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown STORAGE_BACKEND: ${backend}. Use one of: ${BACKENDS.join(', ')}.`);
+    }
+    return backend;
+}
+
+/**
+ * Create a new ETag value.
+ *
+ * Returns:
+ *   Quoted random ETag, in the same form as Netlify Blobs ETags.
+ */
+function newEtag() {
+    return `"${crypto.randomBytes(12).toString('hex')}"`;
+}
+
+/**
+ * Convert a stored string to the requested type.
+ *
+ * Args:
+ *   value: Stored string.
+ *   type: 'json' to parse, anything else for the raw string.
+ *
+ * Returns:
+ *   Parsed value or the string.
+ */
+function decodeValue(value, type) {
+    return type === 'json' ? JSON.parse(value) : value;
+}
+
+/**
+ * Check the conditional-write options against the current entry.
+ *
+ * Args:
+ *   entry: Stored entry or undefined.
+ *   options: set() options.
+ *
+ * Returns:
+ *   True when the write may proceed.
+ */
+function conditionHolds(entry, options) {
+    if (options.onlyIfNew) return !entry;
+    if (options.onlyIfMatch) return Boolean(entry) && entry.etag === options.onlyIfMatch;
+    return true;
+}
+
+/**
+ * Create a Netlify Blobs store with manual or auto config.
+ *
+ * Args:
+ *   name: Store name.
+ *
+ * Returns:
+ *   Netlify Blobs store instance.
+ */
+function createBlobsStore(name) {
+    const { getStore } = require('@netlify/blobs');
+    try {
+        if (NETLIFY_SITE_ID && NETLIFY_BLOBS_TOKEN) {
+            console.log('[Blobs] Using manual config with siteID length:', NETLIFY_SITE_ID.length, 'token length:', NETLIFY_BLOBS_TOKEN.length);
+            return getStore({ name, siteID: NETLIFY_SITE_ID, token: NETLIFY_BLOBS_TOKEN });
+        }
+
+        console.log('[Blobs] Using auto config');
+        return getStore({ name });
+    } catch (e) {
+        console.error('[Blobs] Store creation failed:', e.message);
+        throw e;
+    }
+}
+
+/**
+ * Create (or reuse) an in-memory store.
+ *
+ * Args:
+ *   name: Store name.
+ *
+ * Returns:
+ *   Store object.
+ */
+function createMemoryStore(name) {
+    if (!memoryStores.has(name)) memoryStores.set(name, new Map());
+    const entries = memoryStores.get(name);
+
+    return {
+        async get(key, { type } = {}) {
+            const entry = entries.get(key);
+            return entry ? decodeValue(entry.value, type) : null;
+        },
+        async getWithMetadata(key, { type } = {}) {
+            const entry = entries.get(key);
+            return entry ? { data: decodeValue(entry.value, type), etag: entry.etag, metadata: entry.metadata } : null;
+        },
+        async getMetadata(key) {
+            const entry = entries.get(key);
+            return entry ? { etag: entry.etag, metadata: entry.metadata } : null;
+        },
+        async set(key, value, options = {}) {
+            if (!conditionHolds(entries.get(key), options)) return { modified: false };
+            const etag = newEtag();
+            entries.set(key, { value: String(value), etag, metadata: options.metadata || {} });
+            return { modified: true, etag };
+        },
+        async delete(key) {
+            entries.delete(key);
+        },
+        async list({ prefix = '' } = {}) {
+            const blobs = [...entries.entries()]
+                .filter(([key]) => key.startsWith(prefix))
+                .map(([key, entry]) => ({ key, etag: entry.etag }));
+            return { blobs };
+        },
+    };
+}
+
+/**
+ * Create a store backed by JSON files, one file per key.
+ *
+ * Files are written synchronously so that the condition check and the write
+ * cannot interleave with another request in the same process.
+ *
+ * Args:
+ *   name: Store name (subdirectory of the storage directory).
+ *   dir: Storage directory (defaults to STORAGE_DIR or `.data`).
+ *
+ * Returns:
+ *   Store object.
+ */
+function createFileStore(name, dir = process.env.STORAGE_DIR || DEFAULT_STORAGE_DIR) {
+    const root = path.resolve(dir, encodeURIComponent(name));
+    const fileFor = key => path.join(root, `${encodeURIComponent(key)}.json`);
+
+    const read = (key) => {
+        try {
+            return JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return undefined;
+            throw error;
+        }
+    };
+
+    return {
+        async get(key, { type } = {}) {
+            const entry = read(key);
+            return entry ? decodeValue(entry.value, type) : null;
+        },
+        async getWithMetadata(key, { type } = {}) {
+            const entry = read(key);
+            return entry ? { data: decodeValue(entry.value, type), etag: entry.etag, metadata: entry.metadata } : null;
+        },
+        async getMetadata(key) {
+            const entry = read(key);
+            return entry ? { etag: entry.etag, metadata: entry.metadata } : null;
+        },
+        async set(key, value, options = {}) {
+            if (!conditionHolds(read(key), options)) return { modified: false };
+            const etag = newEtag();
+            const file = fileFor(key);
+            // Write to a temp file and rename so readers never see a partial entry.
+            const temp = `${file}.${process.pid}.tmp`;
+            fs.mkdirSync(root, { recursive: true });
+            fs.writeFileSync(temp, JSON.stringify({ value: String(value), etag, metadata: options.metadata || {} }));
+            fs.renameSync(temp, file);
+            return { modified: true, etag };
+        },
+        async delete(key) {
+            fs.rmSync(fileFor(key), { force: true });
+        },
+        async list({ prefix = '' } = {}) {
+            let files = [];
+            try {
+                files = fs.readdirSync(root);
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+            const blobs = files
+                .filter(file => file.endsWith('.json'))
+                .map(file => decodeURIComponent(file.slice(0, -'.json'.length)))
+                .filter(key => key.startsWith(prefix))
+                .map(key => ({ key, etag: (read(key) || {}).etag }));
+            return { blobs };
+        },
+    };
+}
+
+/**
+ * Open a named store on the configured backend.
+ *
+ * Args:
+ *   name: Store name (defaults to the session store).
+ *
+ * Returns:
+ *   Store object with the Blobs-compatible API described above.
+ */
+function getStore(name = 'ai-sessions') {
+    const backend = getStorageBackend();
+    if (backend === 'memory') return createMemoryStore(name);
+    if (backend === 'fs') return createFileStore(name);
+    return createBlobsStore(name);
+}
+
+module.exports = {
+    getStorageBackend,
+    getStore,
+    createMemoryStore,
+    createFileStore,
+};
@@ -0,0 +1,164 @@
+/**
+ * Helpers for structured (JSON) replies: instructions, parsing, and validation.
+ *
+ * Validation covers the JSON Schema subset course authors use for grading:
+ * type, properties, required, enum, items, minimum/maximum, minLength/maxLength.
+ */
+
+/**
+ * Build the instruction appended to the system prompt in JSON mode.
+ *
+ * Args:
+ *   schema: Optional JSON Schema object.
+ *
+ * Returns:
+ *   Instruction text.
+ */
+function jsonInstruction(schema) {
+    const base = 'Respond with a single JSON object only, without markdown fences or extra text.';
+    if (!schema) return base;
+    return `${base}\nThe JSON must match this JSON Schema:\n${JSON.stringify(schema)}`;
+}
+
+/**
+ * Add the JSON instruction to the system message of a provider message list.
+ *
+ * Args:
+ *   messages: Array of { role, text } messages.
+ *   schema: Optional JSON Schema object.
+ *
+ * Returns:
+ *   New message array with the instruction in the system message.
+ */
+function withJsonInstruction(messages, schema) {
+    const instruction = jsonInstruction(schema);
+    const system = messages.find(m => m.role === 'system');
+    if (!system) return [{ role: 'system', text: instruction }, ...messages];
+    return messages.map(m => (m === system ? { ...m, text: `${m.text}\n\n${instruction}` } : m));
+}
+
+/**
+ * Parse a model reply as JSON, tolerating code fences and surrounding text.
+ *
+ * Args:
+ *   text: Reply text.
+ *
+ * Returns:
+ *   { value } on success, or { error } when no JSON object can be parsed.
+ */
+function parseJsonReply(text) {
+    const raw = String(text || '').trim();
+    const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(raw);
+    const candidates = [raw];
+    if (fenced) candidates.push(fenced[1].trim());
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start !== -1 && end > start) candidates.push(raw.slice(start, end + 1));
+
+    for (const candidate of candidates) {
+        try {
+            return { value: JSON.parse(candidate) };
+        } catch (_) {}
+    }
+    return { error: 'Reply is not valid JSON.' };
+}
+
+/**
+ * Return the JSON Schema type name of a value.
+ *
+ * Args:
+ *   value: Any JSON value.
+ *
+ * Returns:
+ *   Type name (null, array, integer, number, string, boolean, object).
+ */
+function jsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema subset.
+ *
+ * Args:
+ *   value: Parsed JSON value.
+ *   schema: JSON Schema object.
+ *   path: JSON path used in error messages.
+ *
+ * Returns:
+ *   Array of error strings; empty when valid.
+ */
+function validateJson(value, schema, path = '$') {
+    if (!schema || typeof schema !== 'object') return [];
+    const errors = [];
+    const actual = jsonType(value);
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const ok = types.some(t => t === actual || (t === 'number' && actual === 'integer'));
+        if (!ok) {
+            errors.push(`${path}: expected ${types.join('|')}, got ${actual}`);
+            return errors;
+        }
+    }
+
+    if (Array.isArray(schema.enum) && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if (actual === 'integer' || actual === 'number') {
+        if (typeof schema.minimum === 'number' && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+        if (typeof schema.maximum === 'number' && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+
+    if (actual === 'string') {
+        if (typeof schema.minLength === 'number' && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+        if (typeof schema.maxLength === 'number' && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+    }
+
+    if (actual === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push(`${path}.${key}: is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, sub]) => {
+            if (Object.prototype.hasOwnProperty.call(value, key)) {
+                errors.push(...validateJson(value[key], sub, `${path}.${key}`));
+            }
+        });
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => errors.push(...validateJson(item, schema.items, `${path}[${i}]`)));
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate a reply in one step.
+ *
+ * Args:
+ *   text: Reply text.
+ *   schema: Optional JSON Schema object.
+ *
+ * Returns:
+ *   { value, errors } where errors is empty when the reply is usable.
+ */
+function checkJsonReply(text, schema) {
+    const parsed = parseJsonReply(text);
+    if (parsed.error) return { value: undefined, errors: [parsed.error] };
+    if (jsonType(parsed.value) !== 'object') {
+        return { value: parsed.value, errors: ['$: expected a JSON object'] };
+    }
+    return { value: parsed.value, errors: validateJson(parsed.value, schema) };
+}
+
+module.exports = {
+    jsonInstruction,
+    withJsonInstruction,
+    parseJsonReply,
+    validateJson,
+    checkJsonReply,
+};
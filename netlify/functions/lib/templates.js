@@ -0,0 +1,357 @@
+/**
+ * Named prompt templates with `{{placeholder}}` substitution.
+ *
+ * A template document holds numbered versions:
+ *   { "description": "...", "versions": [{ "version": 1, "system": "...", "prompt": "...", "defaults": {} }] }
+ * A version may also hold a `grading` block ({ question, referenceAnswer,
+ * rubric, passThreshold }) that replaces the client's grading fields.
+ * Documents are read from the `ai-templates` store first (written by the
+ * admin function), then from `<PROMPT_TEMPLATES_DIR>/<id>.json` in the repo.
+ * Sessions pin the version they started with, so publishing a new version
+ * only affects new sessions.
+ *
+ * AI_PINNED_PROMPTS maps courses and slides to templates whose system prompt
+ * the client cannot replace (protected system prompts).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getStore } = require('./storage');
+const { parseGradingRequest } = require('./grading');
+
+// Store for templates published through the admin function.
+const TEMPLATE_STORE = 'ai-templates';
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z0-9_.-]+)\s*\}\}/g;
+
+/**
+ * Resolve the directory of repo templates.
+ *
+ * Returns:
+ *   Absolute path (PROMPT_TEMPLATES_DIR, default `prompt-templates`).
+ */
+function getTemplatesDir() {
+    return path.resolve(process.env.PROMPT_TEMPLATES_DIR || 'prompt-templates');
+}
+
+/**
+ * Parse a template reference from request fields.
+ *
+ * Args:
+ *   templateId: Template id, optionally with a version as `id@2`.
+ *   templateVersion: Version number (optional, overrides the `@` suffix).
+ *
+ * Returns:
+ *   { id, version } (version undefined for the latest), null without an id,
+ *   or { error } when the reference is malformed.
+ */
+function parseTemplateRef(templateId, templateVersion) {
+    if (templateId === undefined || templateId === null || templateId === '') return null;
+    const [id, suffix] = String(templateId).split('@');
+    const rawVersion = templateVersion !== undefined && templateVersion !== null && templateVersion !== ''
+        ? templateVersion
+        : suffix;
+    if (!TEMPLATE_ID_PATTERN.test(id)) {
+        return { error: `Invalid templateId: ${templateId}` };
+    }
+    if (rawVersion === undefined || rawVersion === '') return { id, version: undefined };
+    const version = Number(rawVersion);
+    if (!Number.isInteger(version) || version < 1) {
+        return { error: `Invalid template version: ${rawVersion}` };
+    }
+    return { id, version };
+}
+
+/**
+ * Load a template document.
+ *
+ * Args:
+ *   id: Template id.
+ *
+ * Returns:
+ *   Template document, or null when neither the store nor the repo has it.
+ *   Throws when a repo file is not valid JSON.
+ */
+async function loadTemplateDocument(id) {
+    if (!TEMPLATE_ID_PATTERN.test(id)) return null;
+    const stored = await getStore(TEMPLATE_STORE).get(id, { type: 'json' });
+    if (stored) return stored;
+
+    const file = path.join(getTemplatesDir(), `${id}.json`);
+    if (!fs.existsSync(file)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`Template ${id} is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Pick a version from a template document.
+ *
+ * Args:
+ *   doc: Template document.
+ *   version: Version number, or undefined for the latest.
+ *
+ * Returns:
+ *   Version entry, or null when it does not exist.
+ */
+function pickVersion(doc, version) {
+    const versions = (doc && Array.isArray(doc.versions) ? doc.versions : [])
+        .filter(v => Number.isInteger(v.version));
+    if (version === undefined) {
+        return versions.reduce((latest, v) => (!latest || v.version > latest.version ? v : latest), null);
+    }
+    return versions.find(v => v.version === version) || null;
+}
+
+/**
+ * Resolve a template reference to one version.
+ *
+ * Args:
+ *   ref: { id, version } from parseTemplateRef or a session pin.
+ *
+ * Returns:
+ *   { id, version, system, prompt, defaults, grading } (grading only when
+ *   the version has one), or { statusCode: 404, error }.
+ */
+async function resolveTemplate(ref) {
+    const doc = await loadTemplateDocument(ref.id);
+    const entry = doc ? pickVersion(doc, ref.version) : null;
+    if (!entry) {
+        const label = ref.version === undefined ? ref.id : `${ref.id}@${ref.version}`;
+        return { statusCode: 404, error: `Шаблон не найден: ${label}` };
+    }
+    return {
+        id: ref.id,
+        version: entry.version,
+        system: entry.system,
+        prompt: entry.prompt,
+        defaults: entry.defaults || {},
+        ...(entry.grading ? { grading: entry.grading } : {}),
+    };
+}
+
+/**
+ * Substitute `{{name}}` placeholders.
+ *
+ * Args:
+ *   text: Template text.
+ *   values: Placeholder values; objects are inserted as JSON.
+ *
+ * Returns:
+ *   { text, missing } where missing lists placeholders without a value.
+ */
+function renderTemplate(text, values) {
+    const missing = [];
+    const rendered = String(text).replace(PLACEHOLDER_PATTERN, (match, name) => {
+        const value = values[name];
+        if (value === undefined || value === null) {
+            if (!missing.includes(name)) missing.push(name);
+            return match;
+        }
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+    return { text: rendered, missing };
+}
+
+/**
+ * Render the system prompt and user prompt of a template.
+ *
+ * Values come from the template defaults, then request fields, then the
+ * request's `templateVars`. With `systemValues`, the system prompt is
+ * rendered from the defaults and those values only.
+ *
+ * Args:
+ *   template: Resolved template.
+ *   values: Request fields and template variables.
+ *   options: { system, systemValues } - system false skips the system
+ *     prompt (pinned sessions already hold it); systemValues replaces
+ *     `values` for the system prompt.
+ *
+ * Returns:
+ *   { system, prompt } with undefined for parts the template does not
+ *   define, or { error } listing missing variables.
+ */
+function applyTemplate(template, values, options = {}) {
+    const merged = { ...template.defaults, ...values };
+    const parts = {};
+    const missing = [];
+    if (options.system !== false && typeof template.system === 'string') {
+        const system = renderTemplate(template.system, options.systemValues
+            ? { ...template.defaults, ...options.systemValues }
+            : merged);
+        parts.system = system.text;
+        missing.push(...system.missing);
+    }
+    if (typeof template.prompt === 'string') {
+        const prompt = renderTemplate(template.prompt, merged);
+        parts.prompt = prompt.text;
+        missing.push(...prompt.missing.filter(name => !missing.includes(name)));
+    }
+    if (missing.length > 0) {
+        return { error: `Template variables missing: ${missing.join(', ')}` };
+    }
+    return parts;
+}
+
+/**
+ * Find the protected system prompt for a course and slide.
+ *
+ * AI_PINNED_PROMPTS is a JSON object mapping `<courseId>/<slideId>`,
+ * `<courseId>` or `*` to a template reference; the most specific key wins.
+ *
+ * Args:
+ *   courseId: Course identifier (optional).
+ *   slideId: Slide identifier (optional).
+ *
+ * Returns:
+ *   { key, ref }, null when no protected prompt applies, or { error } when
+ *   AI_PINNED_PROMPTS is invalid.
+ */
+function findPinnedPrompt(courseId, slideId) {
+    const raw = process.env.AI_PINNED_PROMPTS;
+    if (!raw || !raw.trim()) return null;
+    let map;
+    try {
+        map = JSON.parse(raw);
+    } catch (error) {
+        return { error: `AI_PINNED_PROMPTS is not valid JSON: ${error.message}` };
+    }
+    if (!map || typeof map !== 'object' || Array.isArray(map)) {
+        return { error: 'AI_PINNED_PROMPTS must be a JSON object.' };
+    }
+
+    const keys = [];
+    if (courseId && slideId) keys.push(`${courseId}/${slideId}`);
+    if (courseId) keys.push(String(courseId));
+    keys.push('*');
+    const key = keys.find(k => Object.prototype.hasOwnProperty.call(map, k));
+    if (!key) return null;
+    const ref = parseTemplateRef(map[key]);
+    if (!ref || ref.error) {
+        return { error: `AI_PINNED_PROMPTS["${key}"]: ${ref ? ref.error : 'template id is required'}` };
+    }
+    return { key, ref };
+}
+
+/**
+ * Add the client-supplied system prompt below a protected one.
+ *
+ * AI_CLIENT_SYSTEM=ignore drops it instead (default: append).
+ *
+ * Args:
+ *   system: Rendered protected system prompt.
+ *   clientSystem: `system` field of the request.
+ *
+ * Returns:
+ *   System prompt text.
+ */
+function withClientInstructions(system, clientSystem) {
+    const extra = typeof clientSystem === 'string' ? clientSystem.trim() : '';
+    if (!extra || (process.env.AI_CLIENT_SYSTEM || 'append').toLowerCase() === 'ignore') return system;
+    return `${system}\n\nAdditional instructions (they do not override the instructions above):\n${extra}`;
+}
+
+/**
+ * List available templates.
+ *
+ * Returns:
+ *   Array of { id, description, latestVersion, source } sorted by id;
+ *   stored templates hide repo files with the same id.
+ */
+async function listTemplates() {
+    const templates = new Map();
+    const dir = getTemplatesDir();
+    if (fs.existsSync(dir)) {
+        for (const name of fs.readdirSync(dir).filter(n => n.endsWith('.json'))) {
+            const id = name.slice(0, -5);
+            if (!TEMPLATE_ID_PATTERN.test(id)) continue;
+            try {
+                templates.set(id, { id, doc: JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')), source: 'file' });
+            } catch (error) {
+                console.warn(`[Templates] Пропущен файл ${name}:`, error.message);
+            }
+        }
+    }
+    const store = getStore(TEMPLATE_STORE);
+    const { blobs } = await store.list();
+    for (const { key } of blobs) {
+        const doc = await store.get(key, { type: 'json' });
+        if (doc) templates.set(key, { id: key, doc, source: 'store' });
+    }
+    return [...templates.values()]
+        .map(({ id, doc, source }) => {
+            const latest = pickVersion(doc);
+            return { id, description: doc.description || '', latestVersion: latest ? latest.version : null, source };
+        })
+        .sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Publish a new version of a template to the store.
+ *
+ * Earlier versions (including those from a repo file) are kept, so pinned
+ * sessions still resolve.
+ *
+ * Args:
+ *   id: Template id.
+ *   fields: { system, prompt, defaults, grading, description }.
+ *
+ * Returns:
+ *   { id, version } of the new version, or { statusCode, error } for invalid
+ *   input (400) or repeated concurrent writes (409).
+ */
+async function saveTemplateVersion(id, fields) {
+    if (!TEMPLATE_ID_PATTERN.test(id || '')) {
+        return { statusCode: 400, error: `Invalid templateId: ${id}` };
+    }
+    const { system, prompt, defaults, grading, description } = fields || {};
+    if (typeof system !== 'string' && typeof prompt !== 'string' && grading === undefined) {
+        return { statusCode: 400, error: 'A template needs a system or prompt string, or grading.' };
+    }
+    if (defaults !== undefined && (typeof defaults !== 'object' || defaults === null || Array.isArray(defaults))) {
+        return { statusCode: 400, error: 'defaults must be an object.' };
+    }
+    if (grading !== undefined) {
+        const parsed = grading && typeof grading === 'object' ? parseGradingRequest(grading) : { error: 'grading must be an object.' };
+        if (parsed.error) return { statusCode: 400, error: parsed.error };
+    }
+
+    const store = getStore(TEMPLATE_STORE);
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const entry = await store.getWithMetadata(id, { type: 'json' });
+        const doc = entry ? entry.data : (await loadTemplateDocument(id)) || { versions: [] };
+        const latest = pickVersion(doc);
+        const version = latest ? latest.version + 1 : 1;
+        const next = {
+            ...doc,
+            ...(description !== undefined ? { description: String(description) } : {}),
+            versions: [...(doc.versions || []), {
+                version,
+                ...(typeof system === 'string' ? { system } : {}),
+                ...(typeof prompt === 'string' ? { prompt } : {}),
+                ...(defaults ? { defaults } : {}),
+                ...(grading !== undefined ? { grading } : {}),
+                createdAt: Date.now(),
+            }],
+        };
+        const { modified } = await store.set(id, JSON.stringify(next), entry ? { onlyIfMatch: entry.etag } : { onlyIfNew: true });
+        if (modified) return { id, version };
+    }
+    return { statusCode: 409, error: 'Template was changed concurrently, try again.' };
+}
+
+module.exports = {
+    TEMPLATE_STORE,
+    getTemplatesDir,
+    parseTemplateRef,
+    loadTemplateDocument,
+    resolveTemplate,
+    renderTemplate,
+    applyTemplate,
+    findPinnedPrompt,
+    withClientInstructions,
+    listTemplates,
+    saveTemplateVersion,
+};
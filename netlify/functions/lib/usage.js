@@ -0,0 +1,134 @@
+/**
+ * Token usage accounting: summing, pricing, and the per-course usage ledger.
+ *
+ * Usage objects have the normalized adapter shape
+ * { inputTokens, outputTokens, totalTokens } plus an optional `cost`.
+ */
+
+// Conditional-write attempts before a ledger update gives up.
+const MAX_LEDGER_ATTEMPTS = 5;
+
+/**
+ * Sum two usage objects.
+ *
+ * Args:
+ *   a: Usage object or null.
+ *   b: Usage object or null.
+ *
+ * Returns:
+ *   Summed usage, or null when both are missing.
+ */
+function addUsage(a, b) {
+    if (!a) return b ? { ...b } : null;
+    if (!b) return { ...a };
+    const sum = {
+        inputTokens: (a.inputTokens || 0) + (b.inputTokens || 0),
+        outputTokens: (a.outputTokens || 0) + (b.outputTokens || 0),
+        totalTokens: (a.totalTokens || 0) + (b.totalTokens || 0),
+    };
+    if (typeof a.cost === 'number' || typeof b.cost === 'number') {
+        sum.cost = roundCost((a.cost || 0) + (b.cost || 0));
+    }
+    return sum;
+}
+
+/**
+ * Read per-model prices from `AI_PRICING`.
+ *
+ * The value is JSON mapping `provider:model`, `model`, or `provider` to
+ * `{ input, output }` prices per million tokens.
+ *
+ * Returns:
+ *   Pricing object (empty when unset or invalid).
+ */
+function getPricing() {
+    const raw = process.env.AI_PRICING;
+    if (!raw) return {};
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' ? parsed : {};
+    } catch (error) {
+        console.warn('[Usage] AI_PRICING is not valid JSON:', error.message);
+        return {};
+    }
+}
+
+/**
+ * Round a cost to 6 decimal places to avoid float noise in totals.
+ *
+ * Args:
+ *   value: Cost value.
+ *
+ * Returns:
+ *   Rounded cost.
+ */
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+/**
+ * Attach a cost to a usage object when a price is configured.
+ *
+ * Args:
+ *   provider: Provider name.
+ *   model: Model reported by the adapter.
+ *   usage: Normalized usage or null.
+ *
+ * Returns:
+ *   Usage with `cost` when priced, the usage unchanged otherwise, or null.
+ */
+function withCost(provider, model, usage) {
+    if (!usage) return null;
+    const pricing = getPricing();
+    const price = pricing[`${provider}:${model}`] || pricing[model] || pricing[provider];
+    if (!price) return usage;
+    const cost = ((usage.inputTokens || 0) * (Number(price.input) || 0)
+        + (usage.outputTokens || 0) * (Number(price.output) || 0)) / 1e6;
+    return { ...usage, cost: roundCost(cost) };
+}
+
+/**
+ * Add a request's usage to the monthly ledger of a course.
+ *
+ * Ledger entries are keyed `course/<courseId>/<YYYY-MM>` and hold totals
+ * plus a `byModel` breakdown keyed `provider:model`. Writes are conditional on
+ * the ETag read, so concurrent requests retry instead of overwriting each other.
+ *
+ * Args:
+ *   store: Store for the ledger (see lib/storage).
+ *   courseId: Course identifier (requests without one go to `unassigned`).
+ *   provider: Provider name.
+ *   model: Model reported by the adapter.
+ *   usage: Usage with optional cost.
+ *   now: Timestamp in milliseconds.
+ *
+ * Returns:
+ *   Updated ledger entry. Throws when every conditional write lost a race.
+ */
+async function recordLedger(store, courseId, provider, model, usage, now = Date.now()) {
+    const course = courseId || 'unassigned';
+    const month = new Date(now).toISOString().slice(0, 7);
+    const key = `course/${course}/${month}`;
+    const modelKey = `${provider}:${model || 'unknown'}`;
+
+    for (let attempt = 1; attempt <= MAX_LEDGER_ATTEMPTS; attempt++) {
+        const current = await store.getWithMetadata(key, { type: 'json' });
+        const entry = current ? current.data : { courseId: course, month, requests: 0, usage: null, byModel: {} };
+        const byModel = entry.byModel[modelKey] || { requests: 0, usage: null };
+
+        entry.requests += 1;
+        entry.usage = addUsage(entry.usage, usage);
+        entry.byModel[modelKey] = { requests: byModel.requests + 1, usage: addUsage(byModel.usage, usage) };
+        entry.updatedAt = now;
+        const { modified } = await store.set(key, JSON.stringify(entry), current ? { onlyIfMatch: current.etag } : { onlyIfNew: true });
+        if (modified) return entry;
+    }
+    throw new Error(`Ledger ${key} was changed concurrently ${MAX_LEDGER_ATTEMPTS} times.`);
+}
+
+module.exports = {
+    addUsage,
+    getPricing,
+    withCost,
+    recordLedger,
+};
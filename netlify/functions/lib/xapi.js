@@ -0,0 +1,315 @@
+/**
+ * xAPI (Tin Can) statements for AI interactions.
+ *
+ * Each answered turn produces up to three statements: the learner "asked"
+ * (the prompt), the AI tutor "answered" (the reply), and the learner "scored"
+ * when the structured reply carries a score. Statements that cannot be
+ * delivered are queued in a store and retried by the `xapi-retry` function.
+ */
+
+const crypto = require('crypto');
+
+const VERBS = {
+    asked: { id: 'http://adlnet.gov/expapi/verbs/asked', display: { 'en-US': 'asked' } },
+    answered: { id: 'http://adlnet.gov/expapi/verbs/answered', display: { 'en-US': 'answered' } },
+    scored: { id: 'http://adlnet.gov/expapi/verbs/scored', display: { 'en-US': 'scored' } },
+};
+const INTERACTION_TYPE = 'http://adlnet.gov/expapi/activities/interaction';
+const DEFAULT_VERSION = '1.0.3';
+const DEFAULT_TIMEOUT_MS = 5000;
+const DEFAULT_MAX_ATTEMPTS = 10;
+// Queue entries are stored under this key prefix.
+const QUEUE_PREFIX = 'pending/';
+
+/**
+ * Read the LRS configuration from env.
+ *
+ * Returns:
+ *   Config object, or null when XAPI_ENDPOINT is not set.
+ */
+function getXapiConfig() {
+    const endpoint = (process.env.XAPI_ENDPOINT || '').trim().replace(/\/+$/, '');
+    if (!endpoint) return null;
+
+    let auth;
+    if (process.env.XAPI_AUTH) {
+        auth = process.env.XAPI_AUTH;
+    } else if (process.env.XAPI_USERNAME) {
+        const credentials = `${process.env.XAPI_USERNAME}:${process.env.XAPI_PASSWORD || ''}`;
+        auth = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const siteUrl = (process.env.URL || 'http://localhost').replace(/\/+$/, '');
+    const activityBase = (process.env.XAPI_ACTIVITY_BASE || `${siteUrl}/xapi`).replace(/\/+$/, '');
+    return {
+        statementsUrl: /\/statements$/.test(endpoint) ? endpoint : `${endpoint}/statements`,
+        auth,
+        version: process.env.XAPI_VERSION || DEFAULT_VERSION,
+        activityBase,
+        accountHomePage: process.env.XAPI_ACCOUNT_HOMEPAGE || siteUrl,
+        timeoutMs: Number(process.env.XAPI_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+        maxAttempts: Number(process.env.XAPI_MAX_ATTEMPTS) || DEFAULT_MAX_ATTEMPTS,
+    };
+}
+
+/**
+ * Normalize the `xapi` request field.
+ *
+ * Args:
+ *   raw: Object, or a JSON string in multipart requests.
+ *
+ * Returns:
+ *   { learner: { id, name, email }, activityId, activityName, registration },
+ *   or null when missing, malformed, or without a learner id or email.
+ */
+function parseXapiContext(raw) {
+    let value = raw;
+    if (typeof value === 'string') {
+        if (!value.trim()) return null;
+        try {
+            value = JSON.parse(value);
+        } catch (_) {
+            console.warn('[xAPI] Поле xapi не является JSON, выражения не отправляются.');
+            return null;
+        }
+    }
+    if (!value || typeof value !== 'object') return null;
+    const learner = value.learner || {};
+    const text = v => (v === undefined || v === null || v === '' ? undefined : String(v));
+    const context = {
+        learner: { id: text(learner.id), name: text(learner.name), email: text(learner.email) },
+        activityId: text(value.activityId),
+        activityName: text(value.activityName),
+        registration: text(value.registration),
+    };
+    if (!context.learner.id && !context.learner.email) return null;
+    return context;
+}
+
+/**
+ * Build the xAPI Agent for a learner.
+ *
+ * Args:
+ *   learner: { id, name, email }.
+ *   config: Config from getXapiConfig.
+ *
+ * Returns:
+ *   Agent with an mbox when an email is known, otherwise with an account.
+ */
+function buildActor(learner, config) {
+    const actor = { objectType: 'Agent', ...(learner.name ? { name: learner.name } : {}) };
+    if (learner.email) {
+        actor.mbox = `mailto:${learner.email}`;
+    } else {
+        actor.account = { homePage: config.accountHomePage, name: learner.id };
+    }
+    return actor;
+}
+
+/**
+ * Read a score from a structured reply.
+ *
+ * The range comes from the schema's `minimum`/`maximum` for the field, when
+ * present, and yields a scaled score.
+ *
+ * Args:
+ *   json: Parsed JSON reply.
+ *   jsonSchema: Schema the reply was validated against (optional).
+ *   field: Score field name (defaults to XAPI_SCORE_FIELD or `score`).
+ *
+ * Returns:
+ *   { raw, min, max, scaled } with only the known parts, or null.
+ */
+function scoreFromJson(json, jsonSchema, field = process.env.XAPI_SCORE_FIELD || 'score') {
+    if (!json || typeof json !== 'object' || typeof json[field] !== 'number') return null;
+    const raw = json[field];
+    const spec = (jsonSchema && jsonSchema.properties && jsonSchema.properties[field]) || {};
+    const score = { raw };
+    if (typeof spec.minimum === 'number') score.min = spec.minimum;
+    if (typeof spec.maximum === 'number') score.max = spec.maximum;
+    if (typeof score.max === 'number' && score.max > (score.min || 0)) {
+        const scaled = (raw - (score.min || 0)) / (score.max - (score.min || 0));
+        score.scaled = Math.round(Math.min(1, Math.max(-1, scaled)) * 10000) / 10000;
+    }
+    return score;
+}
+
+/**
+ * Build the statements for one answered turn.
+ *
+ * Args:
+ *   config: Config from getXapiConfig.
+ *   context: Parsed `xapi` request field.
+ *   details: { sessionId, courseId, prompt, transcript, response, provider,
+ *     model, score, success, timestamp } of the turn.
+ *
+ * Returns:
+ *   Array of xAPI statements.
+ */
+function buildStatements(config, context, details) {
+    const ext = name => `${config.activityBase}/extensions/${name}`;
+    const course = details.courseId || 'unassigned';
+    const object = {
+        objectType: 'Activity',
+        id: context.activityId || `${config.activityBase}/courses/${encodeURIComponent(course)}/ai-conversation`,
+        definition: {
+            name: { 'en-US': context.activityName || 'AI conversation' },
+            type: INTERACTION_TYPE,
+        },
+    };
+    const extensions = {
+        [ext('session-id')]: details.sessionId || null,
+        [ext('course-id')]: details.courseId || null,
+        [ext('prompt')]: details.prompt || '',
+        [ext('response')]: details.response || '',
+        ...(details.transcript ? { [ext('transcript')]: details.transcript } : {}),
+        [ext('provider')]: details.provider,
+        [ext('model')]: details.model || null,
+        ...(details.score ? { [ext('score')]: details.score } : {}),
+    };
+    const registration = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(context.registration || '')
+        ? context.registration
+        : undefined;
+    const statementContext = {
+        platform: 'Storyline AI Bridge',
+        ...(registration ? { registration } : {}),
+        extensions,
+    };
+    const learner = buildActor(context.learner, config);
+    const tutor = {
+        objectType: 'Agent',
+        name: `AI tutor (${details.provider})`,
+        account: { homePage: config.accountHomePage, name: `ai-${details.provider}` },
+    };
+    const timestamp = new Date(details.timestamp || Date.now()).toISOString();
+    const statement = (actor, verb, result, extra = {}) => ({
+        id: crypto.randomUUID(),
+        actor,
+        verb: VERBS[verb],
+        object,
+        ...(result ? { result } : {}),
+        context: { ...statementContext, ...extra },
+        timestamp,
+    });
+
+    // The AI tutor is the instructor of the learner's statements; its own
+    // statement names the learner in an extension so both can be queried together.
+    const statements = [
+        statement(learner, 'asked', { response: details.transcript || details.prompt || '' }, { instructor: tutor }),
+        statement(tutor, 'answered', { response: details.response || '' }, {
+            extensions: { ...extensions, [ext('learner')]: learner },
+        }),
+    ];
+    if (details.score) {
+        const score = { raw: details.score.raw };
+        ['min', 'max', 'scaled'].forEach((key) => {
+            if (typeof details.score[key] === 'number') score[key] = details.score[key];
+        });
+        const result = typeof details.success === 'boolean' ? { score, success: details.success } : { score };
+        statements.push(statement(learner, 'scored', result, { instructor: tutor }));
+    }
+    return statements;
+}
+
+/**
+ * POST statements to the LRS.
+ *
+ * A 409 means the LRS already holds statements with these ids, so it counts
+ * as delivered.
+ *
+ * Args:
+ *   config: Config from getXapiConfig.
+ *   statements: Array of statements.
+ *
+ * Returns:
+ *   None. Throws when the LRS cannot be reached or rejects the statements.
+ */
+async function sendStatements(config, statements) {
+    const response = await fetch(config.statementsUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Experience-API-Version': config.version,
+            ...(config.auth ? { Authorization: config.auth } : {}),
+        },
+        body: JSON.stringify(statements),
+        signal: AbortSignal.timeout(config.timeoutMs),
+    });
+    if (!response.ok && response.status !== 409) {
+        let details = '';
+        try { details = await response.text(); } catch (_) {}
+        throw new Error(`LRS error ${response.status}: ${details}`);
+    }
+}
+
+/**
+ * Send statements, queueing them for retry when delivery fails.
+ *
+ * Args:
+ *   store: Store for the retry queue (see lib/storage).
+ *   config: Config from getXapiConfig.
+ *   statements: Array of statements.
+ *   now: Timestamp in milliseconds.
+ *
+ * Returns:
+ *   { sent: true } or { sent: false, queued: true, error }.
+ */
+async function emitStatements(store, config, statements, now = Date.now()) {
+    try {
+        await sendStatements(config, statements);
+        return { sent: true };
+    } catch (error) {
+        console.warn('[xAPI] Не удалось отправить выражения, ставим в очередь:', error.message);
+        const key = `${QUEUE_PREFIX}${now}-${crypto.randomUUID()}`;
+        await store.set(key, JSON.stringify({ statements, attempts: 1, queuedAt: now, lastError: error.message }));
+        return { sent: false, queued: true, error: error.message };
+    }
+}
+
+/**
+ * Retry queued statements.
+ *
+ * Entries are dropped after `maxAttempts` failed deliveries.
+ *
+ * Args:
+ *   store: Store for the retry queue.
+ *   config: Config from getXapiConfig.
+ *
+ * Returns:
+ *   { sent, failed, dropped } entry counts.
+ */
+async function flushQueue(store, config) {
+    const { blobs } = await store.list({ prefix: QUEUE_PREFIX });
+    const counts = { sent: 0, failed: 0, dropped: 0 };
+    for (const { key } of blobs) {
+        const entry = await store.get(key, { type: 'json' });
+        if (!entry) continue;
+        try {
+            await sendStatements(config, entry.statements);
+            await store.delete(key);
+            counts.sent += 1;
+        } catch (error) {
+            const attempts = (entry.attempts || 0) + 1;
+            if (attempts >= config.maxAttempts) {
+                console.error(`[xAPI] Выражения ${key} отброшены после ${attempts} попыток:`, error.message);
+                await store.delete(key);
+                counts.dropped += 1;
+            } else {
+                await store.set(key, JSON.stringify({ ...entry, attempts, lastError: error.message }));
+                counts.failed += 1;
+            }
+        }
+    }
+    return counts;
+}
+
+module.exports = {
+    getXapiConfig,
+    parseXapiContext,
+    buildActor,
+    scoreFromJson,
+    buildStatements,
+    sendStatements,
+    emitStatements,
+    flushQueue,
+};
@@ -4,43 +4,50 @@
 
 const { GoogleGenerativeAI } = require("@google/generative-ai");
 
+// Default Gemini model for text and audio requests.
+const DEFAULT_MODEL = "gemini-2.5-flash";
+// Models course authors may select when GEMINI_ALLOWED_MODELS is not set.
+const ALLOWED_MODELS = [DEFAULT_MODEL, "gemini-2.5-flash-lite"];
+
 /**
  * Generate a text response with Gemini.
  *
  * Args:
  *   apiKey: Gemini API key.
  *   input: Either a string prompt, an object with prompt/system, or an array of messages.
+ *   options: Optional overrides (modelName, temperature, maxTokens).
  *
  * Returns:
- *   The assistant message text.
+ *   Provider result with text, model, and usage.
  */
-async function generateTextWithGemini(apiKey, input) {
+async function generateTextWithGemini(apiKey, input, options) {
   const genAI = new GoogleGenerativeAI(apiKey);
+  const modelName = options?.modelName || DEFAULT_MODEL;
   
   if (Array.isArray(input)) {
     const systemMessage = input.find(msg => msg.role === 'system');
     const systemInstruction = systemMessage ? systemMessage.text : '';
     
     const model = genAI.getGenerativeModel({ 
-      model: "gemini-2.5-flash", 
+      model: modelName, 
+      generationConfig: generationConfig(options),
       ...(systemInstruction ? { systemInstruction } : {}) 
     });
     
-    // Convert history into a single text prompt for Gemini.
-    const parts = input
-      .filter(msg => msg.role !== 'system')
-      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.text}`)
-      .join('\n\n');
-    
-    const result = await model.generateContent([parts]);
+    const contents = toGeminiContents(input);
+    const result = await model.generateContent({ contents });
     const response = await result.response;
-    return response.text();
+    return { text: response.text(), model: modelName, usage: normalizeUsage(response.usageMetadata) };
   } else {
     const { prompt, system } = normalizeInput(input);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", ...(system ? { systemInstruction: system } : {}) });
+    const model = genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: generationConfig(options),
+      ...(system ? { systemInstruction: system } : {})
+    });
     const result = await model.generateContent([prompt]);
     const response = await result.response;
-    return response.text();
+    return { text: response.text(), model: modelName, usage: normalizeUsage(response.usageMetadata) };
   }
 }
 
@@ -51,50 +58,57 @@ async function generateTextWithGemini(apiKey, input) {
  *   apiKey: Gemini API key.
  *   input: Either a string prompt, an object with prompt/system, or an array of messages.
  *   audioBase64: Base64-encoded WebM audio.
+ *   options: Optional overrides (modelName, temperature, maxTokens, sttLanguage).
  *
  * Returns:
- *   The assistant message text.
+ *   Provider result with text, model, and usage.
  */
-async function generateTextWithGeminiAndAudio(apiKey, input, audioBase64) {
+async function generateTextWithGeminiAndAudio(apiKey, input, audioBase64, options) {
   const genAI = new GoogleGenerativeAI(apiKey);
+  const modelName = options?.modelName || DEFAULT_MODEL;
   
   if (Array.isArray(input)) {
     const systemMessage = input.find(msg => msg.role === 'system');
     const systemInstruction = systemMessage ? systemMessage.text : '';
     
     const model = genAI.getGenerativeModel({ 
-      model: "gemini-2.5-flash", 
+      model: modelName, 
+      generationConfig: generationConfig(options),
       ...(systemInstruction ? { systemInstruction } : {}) 
     });
     
-    // Combine text history with the audio input.
-    const conversationHistory = input
-      .filter(msg => msg.role !== 'system')
-      .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.text}`)
-      .join('\n\n');
-    
-    const parts = [
-      conversationHistory,
-      {
-        inlineData: {
-          data: audioBase64,
-          mimeType: "audio/webm",
-        },
-      },
+    // Attach the audio to the current user turn, opening one if history ends with the model.
+    const contents = toGeminiContents(input);
+    const audioParts = [
+      ...(options?.sttLanguage ? [{ text: languageHint(options.sttLanguage) }] : []),
+      { inlineData: { data: audioBase64, mimeType: "audio/webm" } },
     ];
+    const last = contents[contents.length - 1];
+    if (last && last.role === 'user') {
+      last.parts.push(...audioParts);
+    } else {
+      contents.push({ role: 'user', parts: audioParts });
+    }
     
-    const result = await model.generateContent(parts);
+    const result = await model.generateContent({ contents });
     const response = await result.response;
-    return response.text();
+    return { text: response.text(), model: modelName, usage: normalizeUsage(response.usageMetadata) };
   } else {
     const { prompt, system } = normalizeInput(input);
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash", ...(system ? { systemInstruction: system } : {}) });
+    const model = genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: generationConfig(options),
+      ...(system ? { systemInstruction: system } : {})
+    });
     const parts = [];
     
     // Include prompt text only when present, then append audio.
     if (prompt && prompt.trim()) {
       parts.push(prompt);
     }
+    if (options?.sttLanguage) {
+      parts.push(languageHint(options.sttLanguage));
+    }
     
     
     parts.push({
@@ -106,8 +120,141 @@ async function generateTextWithGeminiAndAudio(apiKey, input, audioBase64) {
 
     const result = await model.generateContent(parts);
     const response = await result.response;
-    return response.text();
+    return { text: response.text(), model: modelName, usage: normalizeUsage(response.usageMetadata) };
+  }
+}
+
+/**
+ * Stream a text response with Gemini.
+ *
+ * Args:
+ *   apiKey: Gemini API key.
+ *   input: Either a string prompt, an object with prompt/system, or an array of messages.
+ *   options: Optional overrides (modelName, temperature, maxTokens).
+ *   onDelta: Callback invoked with each text fragment.
+ *
+ * Returns:
+ *   Provider result with the full text, model, and usage.
+ */
+async function streamTextWithGemini(apiKey, input, options, onDelta) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const modelName = options?.modelName || DEFAULT_MODEL;
+  let model;
+  let request;
+
+  if (Array.isArray(input)) {
+    const systemMessage = input.find(msg => msg.role === 'system');
+    const systemInstruction = systemMessage ? systemMessage.text : '';
+    model = genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: generationConfig(options),
+      ...(systemInstruction ? { systemInstruction } : {})
+    });
+    request = { contents: toGeminiContents(input) };
+  } else {
+    const { prompt, system } = normalizeInput(input);
+    model = genAI.getGenerativeModel({
+      model: modelName,
+      generationConfig: generationConfig(options),
+      ...(system ? { systemInstruction: system } : {})
+    });
+    request = [prompt];
+  }
+
+  const result = await model.generateContentStream(request);
+  let text = '';
+  for await (const chunk of result.stream) {
+    const delta = chunk.text();
+    if (delta) {
+      text += delta;
+      onDelta(delta);
+    }
   }
+  // The aggregated response resolves after the stream with the final usage.
+  const response = await result.response;
+  return { text, model: modelName, usage: normalizeUsage(response.usageMetadata) };
+}
+
+/**
+ * Convert Gemini usage metadata to the normalized shape.
+ *
+ * Args:
+ *   metadata: `usageMetadata` from the response.
+ *
+ * Returns:
+ *   { inputTokens, outputTokens, totalTokens }, or null when missing.
+ */
+function normalizeUsage(metadata) {
+  if (!metadata) return null;
+  const inputTokens = metadata.promptTokenCount || 0;
+  const outputTokens = metadata.candidatesTokenCount || 0;
+  return { inputTokens, outputTokens, totalTokens: metadata.totalTokenCount || inputTokens + outputTokens };
+}
+
+/**
+ * Describe the spoken language of an audio part.
+ *
+ * Gemini listens to the audio directly, so there is no transcription
+ * language parameter; a short text hint plays the same role.
+ *
+ * Args:
+ *   language: Locale such as "en-US" or "kk-KZ".
+ *
+ * Returns:
+ *   Hint text placed before the audio.
+ */
+function languageHint(language) {
+  return `The following audio is spoken in ${language}.`;
+}
+
+/**
+ * Build a Gemini generationConfig from request overrides.
+ *
+ * JSON mode only sets the JSON MIME type: Gemini's responseSchema accepts an
+ * OpenAPI subset rather than JSON Schema, so the schema is enforced by the
+ * handler's validation instead.
+ *
+ * Args:
+ *   options: Optional overrides (temperature, maxTokens, responseFormat).
+ *
+ * Returns:
+ *   generationConfig object with only the provided fields.
+ */
+function generationConfig(options) {
+  return {
+    ...(typeof options?.temperature === 'number' ? { temperature: options.temperature } : {}),
+    ...(typeof options?.maxTokens === 'number' ? { maxOutputTokens: options.maxTokens } : {}),
+    ...(options?.responseFormat === 'json' ? { responseMimeType: 'application/json' } : {}),
+  };
+}
+
+/**
+ * Map session messages to Gemini `contents` with user/model roles.
+ *
+ * System messages are excluded (they go to systemInstruction). Consecutive
+ * messages with the same role are merged, since Gemini expects alternating turns.
+ *
+ * Args:
+ *   messages: Array of { role, text } messages.
+ *
+ * Returns:
+ *   Array of Gemini content objects.
+ */
+function toGeminiContents(messages) {
+  const contents = [];
+  for (const msg of messages) {
+    if (msg.role === 'system') continue;
+    const text = typeof msg.text === 'string' ? msg.text : String(msg.text || '');
+    if (!text.trim()) continue;
+    const role = msg.role === 'assistant' ? 'model' : 'user';
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push({ text });
+    } else {
+      contents.push({ role, parts: [{ text }] });
+    }
+  }
+  return contents;
 }
 
 /**
@@ -126,9 +273,25 @@ function normalizeInput(input) {
   return { prompt: input?.prompt || '', system: input?.system || '' };
 }
 
+// Registry descriptor for the Gemini provider.
+const provider = {
+  name: 'gemini',
+  capabilities: { text: true, audio: true, streaming: true, tts: false },
+  requiredEnv: ['GEMINI_API_KEY'],
+  models: { default: DEFAULT_MODEL, allowed: ALLOWED_MODELS },
+  limits: { maxTemperature: 2, maxTokens: 8192, contextTokens: 16000 },
+  generateText: (env, messages, options) => generateTextWithGemini(env.GEMINI_API_KEY, messages, options),
+  generateWithAudio: (env, messages, audioBase64, options) =>
+    generateTextWithGeminiAndAudio(env.GEMINI_API_KEY, messages, audioBase64, options),
+  streamText: (env, messages, options, onDelta) =>
+    streamTextWithGemini(env.GEMINI_API_KEY, messages, options, onDelta),
+};
+
 module.exports = {
   generateTextWithGemini,
   generateTextWithGeminiAndAudio,
+  streamTextWithGemini,
+  provider,
 };
 
 
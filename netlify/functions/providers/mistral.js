@@ -2,19 +2,26 @@
  * Mistral provider adapter for text generation.
  */
 
+const { readSseJson } = require('./sse');
+
+// Default chat model and the fallback used when it is unavailable.
+const DEFAULT_MODEL = "magistral-medium-2509";
+const FALLBACK_MODEL = "mistral-small-latest";
+
 /**
  * Generate a text response with Mistral chat completions.
  *
  * Args:
  *   apiKey: Mistral API key.
  *   input: Either a string prompt, an object with prompt/system, or an array of messages.
+ *   options: Optional overrides (modelName, temperature, maxTokens).
  *
  * Returns:
- *   The assistant message text.
+ *   Provider result with text, model, and usage.
  */
-async function generateTextWithMistral(apiKey, input) {
-  const primaryModel = "magistral-medium-2509";
-  const fallbackModel = "mistral-small-latest";
+async function generateTextWithMistral(apiKey, input, options) {
+  const primaryModel = options?.modelName || DEFAULT_MODEL;
+  const fallbackModel = FALLBACK_MODEL;
   let modelUsed = primaryModel;
 
   let messages;
@@ -42,8 +49,7 @@ async function generateTextWithMistral(apiKey, input) {
   const primaryBody = {
     model: primaryModel,
     messages,
-    temperature: 1,
-    max_tokens: 1024,
+    ...samplingParams(options),
     ...(systemPrompt ? { system_prompt: systemPrompt } : {})
   };
 
@@ -56,15 +62,14 @@ async function generateTextWithMistral(apiKey, input) {
     body: JSON.stringify(primaryBody),
   });
 
-  if (!response.ok && [400, 404, 422, 429].includes(response.status)) {
+  if (!response.ok && [400, 404, 422, 429].includes(response.status) && primaryModel !== fallbackModel) {
     const errText = await safeReadText(response);
     console.warn(`[Mistral] Primary model failed (${primaryModel}). Falling back to ${fallbackModel}. Details: ${errText}`);
     modelUsed = fallbackModel;
     const fallbackBody = {
       model: fallbackModel,
       messages,
-      temperature: 1,
-      max_tokens: 1024,
+      ...samplingParams(options),
       ...(systemPrompt ? { system_prompt: systemPrompt } : {})
     };
     response = await fetch("https://api.mistral.ai/v1/chat/completions", {
@@ -82,7 +87,122 @@ async function generateTextWithMistral(apiKey, input) {
   const data = await response.json();
   const message = extractTextFromMessage(data?.choices?.[0]?.message) || '';
   console.log(`[Mistral] Text generation model: ${modelUsed}`);
-  return message;
+  return { text: message, model: modelUsed, usage: normalizeUsage(data?.usage) };
+}
+
+/**
+ * Stream a text response with Mistral chat completions.
+ *
+ * Args:
+ *   apiKey: Mistral API key.
+ *   input: Either a string prompt, an object with prompt/system, or an array of messages.
+ *   options: Optional overrides (modelName, temperature, maxTokens).
+ *   onDelta: Callback invoked with each text fragment.
+ *
+ * Returns:
+ *   Provider result with the full text, model, and usage.
+ */
+async function streamTextWithMistral(apiKey, input, options, onDelta) {
+  const primaryModel = options?.modelName || DEFAULT_MODEL;
+  const fallbackModel = FALLBACK_MODEL;
+  let modelUsed = primaryModel;
+
+  let messages;
+  let systemPrompt = "";
+  if (Array.isArray(input)) {
+    const systemMsg = input.find(m => m.role === 'system');
+    systemPrompt = systemMsg ? (systemMsg.text || "") : "";
+    messages = input
+      .filter(m => m.role !== 'system')
+      .map(msg => ({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: typeof msg.text === 'string' ? msg.text : String(msg.text || '')
+      }))
+      .filter(msg => msg.content.trim().length > 0);
+  } else {
+    const { prompt, system } = normalizeInput(input);
+    systemPrompt = system || "";
+    messages = [ { role: 'user', content: prompt } ];
+  }
+
+  if (!messages || messages.length === 0) {
+    throw new Error('Mistral: no valid messages to send.');
+  }
+
+  const request = (model) => fetch("https://api.mistral.ai/v1/chat/completions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+    body: JSON.stringify({
+      model,
+      messages,
+      ...samplingParams(options),
+      stream: true,
+      ...(systemPrompt ? { system_prompt: systemPrompt } : {})
+    }),
+  });
+
+  let response = await request(primaryModel);
+  if (!response.ok && [400, 404, 422, 429].includes(response.status) && primaryModel !== fallbackModel) {
+    const errText = await safeReadText(response);
+    console.warn(`[Mistral] Primary model failed (${primaryModel}). Falling back to ${fallbackModel}. Details: ${errText}`);
+    modelUsed = fallbackModel;
+    response = await request(fallbackModel);
+  }
+  if (!response.ok) {
+    const errText = await safeReadText(response);
+    throw new Error(`Mistral chat error ${response.status}: ${errText}`);
+  }
+
+  let text = '';
+  let usage = null;
+  for await (const chunk of readSseJson(response.body)) {
+    const delta = extractTextFromMessage(chunk?.choices?.[0]?.delta);
+    if (delta) {
+      text += delta;
+      onDelta(delta);
+    }
+    // The final chunk carries usage for the whole completion.
+    if (chunk?.usage) usage = normalizeUsage(chunk.usage);
+  }
+  console.log(`[Mistral] Streamed text generation model: ${modelUsed}`);
+  return { text, model: modelUsed, usage };
+}
+
+/**
+ * Convert chat completions usage to the normalized shape.
+ *
+ * Args:
+ *   usage: `usage` object from the API response.
+ *
+ * Returns:
+ *   { inputTokens, outputTokens, totalTokens }, or null when missing.
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const inputTokens = usage.prompt_tokens || 0;
+  const outputTokens = usage.completion_tokens || 0;
+  return { inputTokens, outputTokens, totalTokens: usage.total_tokens || inputTokens + outputTokens };
+}
+
+/**
+ * Build sampling parameters for a chat completions request.
+ *
+ * Args:
+ *   options: Optional overrides (temperature, maxTokens, responseFormat, jsonSchema).
+ *
+ * Returns:
+ *   Object with temperature, max_tokens, and optional response_format.
+ */
+function samplingParams(options) {
+  return {
+    temperature: typeof options?.temperature === 'number' ? options.temperature : 1,
+    max_tokens: typeof options?.maxTokens === 'number' ? options.maxTokens : 1024,
+    ...(options?.responseFormat === 'json' ? {
+      response_format: options.jsonSchema
+        ? { type: "json_schema", json_schema: { name: "storyline_response", schema: options.jsonSchema, strict: false } }
+        : { type: "json_object" }
+    } : {}),
+  };
 }
 
 /**
@@ -140,6 +260,20 @@ function extractTextFromMessage(msg) {
   return '';
 }
 
+// Registry descriptor for the Mistral provider (text only).
+const provider = {
+  name: 'mistral',
+  capabilities: { text: true, audio: false, streaming: true, tts: false },
+  requiredEnv: ['MISTRAL_API_KEY'],
+  models: { default: DEFAULT_MODEL, allowed: [DEFAULT_MODEL, FALLBACK_MODEL] },
+  limits: { maxTemperature: 1.5, maxTokens: 4096, contextTokens: 8000 },
+  generateText: (env, messages, options) => generateTextWithMistral(env.MISTRAL_API_KEY, messages, options),
+  streamText: (env, messages, options, onDelta) =>
+    streamTextWithMistral(env.MISTRAL_API_KEY, messages, options, onDelta),
+};
+
 module.exports = {
   generateTextWithMistral,
+  streamTextWithMistral,
+  provider,
 };
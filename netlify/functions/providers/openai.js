@@ -1,20 +1,27 @@
+/**
+ * OpenAI provider adapter for text and audio generation.
+ */
+
+const { readSseJson } = require('./sse');
+
+// Default chat model and the fallback used when it is unavailable.
+const DEFAULT_MODEL = "gpt-5-nano-2025-08-07";
+const FALLBACK_MODEL = "gpt-4o-mini";
+
 /**
  * Generate a text response with OpenAI chat completions.
  *
  * Args:
  *   apiKey: OpenAI API key.
  *   input: Either a string prompt, an object with prompt/system, or an array of messages.
+ *   options: Optional overrides (modelName, temperature, maxTokens).
  *
  * Returns:
- *   The assistant message text.
+ *   Provider result with text, model, and usage.
  */
-/**
- * OpenAI provider adapter for text and audio generation.
- */
-
-async function generateTextWithOpenAI(apiKey, input) {
-  const primaryModel = "gpt-5-nano-2025-08-07";
-  const fallbackModel = "gpt-4o-mini";
+async function generateTextWithOpenAI(apiKey, input, options) {
+  const primaryModel = options?.modelName || DEFAULT_MODEL;
+  const fallbackModel = FALLBACK_MODEL;
   let modelUsed = primaryModel;
 
   let messages;
@@ -33,7 +40,7 @@ async function generateTextWithOpenAI(apiKey, input) {
     ] : [ { role: 'user', content: prompt } ];
   }
   
-  const primaryBody = { model: primaryModel, messages, temperature: 1 };
+  const primaryBody = { model: primaryModel, messages, ...chatParams(options) };
   let response = await fetch("https://api.openai.com/v1/chat/completions", {
     method: "POST",
     headers: {
@@ -42,12 +49,12 @@ async function generateTextWithOpenAI(apiKey, input) {
     },
     body: JSON.stringify(primaryBody),
   });
-  if (!response.ok && [400, 404, 422].includes(response.status)) {
+  if (!response.ok && [400, 404, 422].includes(response.status) && primaryModel !== fallbackModel) {
     // Retry with a smaller, more widely available model.
     const errText = await safeReadText(response);
     console.warn(`[OpenAI] Primary model failed (${primaryModel}). Falling back to ${fallbackModel}. Details: ${errText}`);
     modelUsed = fallbackModel;
-    const fallbackBody = { model: fallbackModel, messages, temperature: 1 };
+    const fallbackBody = { model: fallbackModel, messages, ...chatParams(options) };
     response = await fetch("https://api.openai.com/v1/chat/completions", {
       method: "POST",
       headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
@@ -61,7 +68,7 @@ async function generateTextWithOpenAI(apiKey, input) {
   const data = await response.json();
   const message = data.choices?.[0]?.message?.content ?? "";
   console.log(`[OpenAI] Text generation model: ${modelUsed}`);
-  return message;
+  return { text: message, model: modelUsed, usage: normalizeUsage(data.usage) };
 }
 
 /**
@@ -71,19 +78,23 @@ async function generateTextWithOpenAI(apiKey, input) {
  *   apiKey: OpenAI API key.
  *   input: Either a string prompt, an object with prompt/system, or an array of messages.
  *   audioBase64: Base64-encoded WebM audio.
+ *   options: Optional overrides (modelName, temperature, maxTokens, sttLanguage).
  *
  * Returns:
- *   An object with message text, transcript, and model metadata.
+ *   Provider result with text, transcript, model, and usage.
  */
-async function generateTextWithOpenAIAndAudio(apiKey, input, audioBase64) {
+async function generateTextWithOpenAIAndAudio(apiKey, input, audioBase64, options) {
   
   const primaryTranscribe = "gpt-4o-mini-transcribe";
   const fallbackTranscribe = "whisper-1";
+  // The transcription API expects ISO-639-1 codes ("en"), not locales ("en-US").
+  const language = options?.sttLanguage ? String(options.sttLanguage).split(/[-_]/)[0].toLowerCase() : "";
   const audioBuffer = Buffer.from(audioBase64, "base64");
   const audioBlob = new Blob([audioBuffer], { type: "audio/webm" });
   const formData = new FormData();
   formData.append("file", audioBlob, "recording.webm");
   formData.append("model", primaryTranscribe);
+  if (language) formData.append("language", language);
 
   const trResponse = await fetch("https://api.openai.com/v1/audio/transcriptions", {
     method: "POST",
@@ -101,6 +112,7 @@ async function generateTextWithOpenAIAndAudio(apiKey, input, audioBase64) {
     const formData2 = new FormData();
     formData2.append("file", audioBlob, "recording.webm");
     formData2.append("model", fallbackTranscribe);
+    if (language) formData2.append("language", language);
     const trResponse2 = await fetch("https://api.openai.com/v1/audio/transcriptions", {
       method: "POST",
       headers: { Authorization: `Bearer ${apiKey}` },
@@ -123,8 +135,8 @@ async function generateTextWithOpenAIAndAudio(apiKey, input, audioBase64) {
   console.log(`[OpenAI] Transcript: ${transcriptText}`);
 
   
-  const primaryModel = "gpt-5-nano-2025-08-07";
-  const fallbackModel = "gpt-4o-mini";
+  const primaryModel = options?.modelName || DEFAULT_MODEL;
+  const fallbackModel = FALLBACK_MODEL;
   let textModelUsed = primaryModel;
   
   let messages;
@@ -167,11 +179,11 @@ async function generateTextWithOpenAIAndAudio(apiKey, input, audioBase64) {
     body: JSON.stringify({
       model: primaryModel,
       messages,
-      temperature: 1,
+      ...chatParams(options),
     }),
   });
   let chatData;
-  if (!chatResponse.ok && [400, 404, 422].includes(chatResponse.status)) {
+  if (!chatResponse.ok && [400, 404, 422].includes(chatResponse.status) && primaryModel !== fallbackModel) {
     // Retry with a smaller, more widely available model.
     const errText = await safeReadText(chatResponse);
     console.warn(`[OpenAI] Primary text model failed (${primaryModel}). Falling back to ${fallbackModel}. Details: ${errText}`);
@@ -182,7 +194,7 @@ async function generateTextWithOpenAIAndAudio(apiKey, input, audioBase64) {
       body: JSON.stringify({
         model: fallbackModel,
         messages,
-        temperature: 1,
+        ...chatParams(options),
       }),
     });
     if (!chatResponse2.ok) {
@@ -199,13 +211,160 @@ async function generateTextWithOpenAIAndAudio(apiKey, input, audioBase64) {
   const message = chatData.choices?.[0]?.message?.content ?? "";
   console.log(`[OpenAI] Text generation model: ${textModelUsed}`);
   return {
-    message,
+    text: message,
     transcript: transcriptText,
-    transcribeModel: transcribeUsed,
-    textModel: textModelUsed,
+    model: textModelUsed,
+    usage: normalizeUsage(chatData.usage),
+  };
+}
+
+/**
+ * Stream a text response with OpenAI chat completions.
+ *
+ * Args:
+ *   apiKey: OpenAI API key.
+ *   input: Either a string prompt, an object with prompt/system, or an array of messages.
+ *   options: Optional overrides (modelName, temperature, maxTokens).
+ *   onDelta: Callback invoked with each text fragment.
+ *
+ * Returns:
+ *   Provider result with the full text, model, and usage.
+ */
+async function streamTextWithOpenAI(apiKey, input, options, onDelta) {
+  const primaryModel = options?.modelName || DEFAULT_MODEL;
+  const fallbackModel = FALLBACK_MODEL;
+  let modelUsed = primaryModel;
+
+  let messages;
+  if (Array.isArray(input)) {
+    messages = input.map(msg => ({ role: msg.role, content: msg.text }));
+  } else {
+    const { prompt, system } = normalizeInput(input);
+    messages = system ? [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt },
+    ] : [ { role: 'user', content: prompt } ];
+  }
+
+  const request = (model) => fetch("https://api.openai.com/v1/chat/completions", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+    body: JSON.stringify({ model, messages, ...chatParams(options), stream: true, stream_options: { include_usage: true } }),
+  });
+
+  let response = await request(primaryModel);
+  if (!response.ok && [400, 404, 422].includes(response.status) && primaryModel !== fallbackModel) {
+    const errText = await safeReadText(response);
+    console.warn(`[OpenAI] Primary model failed (${primaryModel}). Falling back to ${fallbackModel}. Details: ${errText}`);
+    modelUsed = fallbackModel;
+    response = await request(fallbackModel);
+  }
+  if (!response.ok) {
+    const errText = await safeReadText(response);
+    throw new Error(`OpenAI chat error ${response.status}: ${errText}`);
+  }
+
+  let text = '';
+  let usage = null;
+  for await (const chunk of readSseJson(response.body)) {
+    const delta = chunk.choices?.[0]?.delta?.content;
+    if (typeof delta === 'string' && delta) {
+      text += delta;
+      onDelta(delta);
+    }
+    // With include_usage the last chunk carries usage and no choices.
+    if (chunk.usage) usage = normalizeUsage(chunk.usage);
+  }
+  console.log(`[OpenAI] Streamed text generation model: ${modelUsed}`);
+  return { text, model: modelUsed, usage };
+}
+
+/**
+ * Synthesize speech from text with OpenAI TTS.
+ *
+ * Args:
+ *   apiKey: OpenAI API key.
+ *   text: Text to speak.
+ *   opts: TTS options (voice).
+ *
+ * Returns:
+ *   Object with audioBase64, mimeType, and model.
+ */
+async function synthesizeSpeechWithOpenAI(apiKey, text, opts = {}) {
+  const primaryModel = "gpt-4o-mini-tts";
+  const fallbackModel = "tts-1";
+  const voice = opts.voice || "alloy";
+  let modelUsed = primaryModel;
+
+  const request = (model) => fetch("https://api.openai.com/v1/audio/speech", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${apiKey}` },
+    body: JSON.stringify({ model, input: text, voice, response_format: "mp3" }),
+  });
+
+  let response = await request(primaryModel);
+  if (!response.ok && [400, 404, 422].includes(response.status)) {
+    const errText = await safeReadText(response);
+    console.warn(`[OpenAI] Primary TTS model failed (${primaryModel}). Falling back to ${fallbackModel}. Details: ${errText}`);
+    modelUsed = fallbackModel;
+    response = await request(fallbackModel);
+  }
+  if (!response.ok) {
+    const errText = await safeReadText(response);
+    throw new Error(`OpenAI TTS error ${response.status}: ${errText}`);
+  }
+  const audioBuffer = Buffer.from(await response.arrayBuffer());
+  console.log(`[OpenAI] TTS model: ${modelUsed}`);
+  return { audioBase64: audioBuffer.toString("base64"), mimeType: "audio/mpeg", model: modelUsed };
+}
+
+/**
+ * Build sampling parameters for a chat completions request.
+ *
+ * Args:
+ *   options: Optional overrides (temperature, maxTokens, responseFormat, jsonSchema).
+ *
+ * Returns:
+ *   Object with temperature and optional max_completion_tokens/response_format.
+ */
+function chatParams(options) {
+  return {
+    temperature: typeof options?.temperature === 'number' ? options.temperature : 1,
+    ...(typeof options?.maxTokens === 'number' ? { max_completion_tokens: options.maxTokens } : {}),
+    ...(options?.responseFormat === 'json' ? { response_format: responseFormatParam(options.jsonSchema) } : {}),
   };
 }
 
+/**
+ * Build the response_format parameter for JSON mode.
+ *
+ * Args:
+ *   schema: Optional JSON Schema object.
+ *
+ * Returns:
+ *   json_schema format when a schema is given, otherwise json_object.
+ */
+function responseFormatParam(schema) {
+  if (!schema) return { type: "json_object" };
+  return { type: "json_schema", json_schema: { name: "storyline_response", schema, strict: false } };
+}
+
+/**
+ * Convert chat completions usage to the normalized shape.
+ *
+ * Args:
+ *   usage: `usage` object from the API response.
+ *
+ * Returns:
+ *   { inputTokens, outputTokens, totalTokens }, or null when missing.
+ */
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  const inputTokens = usage.prompt_tokens || 0;
+  const outputTokens = usage.completion_tokens || 0;
+  return { inputTokens, outputTokens, totalTokens: usage.total_tokens || inputTokens + outputTokens };
+}
+
 /**
  * Safely read a response body as text.
  *
@@ -239,9 +398,27 @@ function normalizeInput(input) {
   return { prompt: input?.prompt || '', system: input?.system || '' };
 }
 
+// Registry descriptor for the OpenAI provider.
+const provider = {
+  name: 'openai',
+  capabilities: { text: true, audio: true, streaming: true, tts: true },
+  requiredEnv: ['OPENAI_API_KEY'],
+  models: { default: DEFAULT_MODEL, allowed: [DEFAULT_MODEL, FALLBACK_MODEL] },
+  limits: { maxTemperature: 2, maxTokens: 4096, contextTokens: 16000 },
+  generateText: (env, messages, options) => generateTextWithOpenAI(env.OPENAI_API_KEY, messages, options),
+  generateWithAudio: (env, messages, audioBase64, options) =>
+    generateTextWithOpenAIAndAudio(env.OPENAI_API_KEY, messages, audioBase64, options),
+  streamText: (env, messages, options, onDelta) =>
+    streamTextWithOpenAI(env.OPENAI_API_KEY, messages, options, onDelta),
+  synthesizeSpeech: (env, text, opts) => synthesizeSpeechWithOpenAI(env.OPENAI_API_KEY, text, opts),
+};
+
 module.exports = {
   generateTextWithOpenAI,
   generateTextWithOpenAIAndAudio,
+  streamTextWithOpenAI,
+  synthesizeSpeechWithOpenAI,
+  provider,
 };
 
 
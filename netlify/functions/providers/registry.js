@@ -0,0 +1,209 @@
+/**
+ * Provider registry: maps provider names to adapter descriptors.
+ *
+ * Each adapter module exports a `provider` descriptor:
+ *   name: Provider name used in AI_PROVIDER and request `provider` fields.
+ *   capabilities: { text, audio, streaming, tts } flags.
+ *   requiredEnv: Environment variables that must be set to call the provider.
+ *   models: { default, allowed, fromUri? } model names course authors may select.
+ *   limits: { maxTemperature, maxTokens } hard caps for generation overrides, and
+ *     contextTokens: history budget, a number or { default, <model>: tokens }.
+ *   generateText(env, messages, options): Resolves to { text, transcript, model, usage },
+ *     where usage is { inputTokens, outputTokens, totalTokens } or null.
+ *   generateWithAudio(env, messages, audioBase64, options): Same result shape; only when capabilities.audio.
+ *   streamText(env, messages, options, onDelta): Same result shape; calls onDelta per text fragment.
+ *     Only when capabilities.streaming.
+ *   synthesizeSpeech(env, text, opts): Resolves to { audioBase64, mimeType, model }; only when capabilities.tts.
+ */
+
+const gemini = require('./gemini');
+const openai = require('./openai');
+const yandex = require('./yandex');
+const mistral = require('./mistral');
+
+// Registered providers keyed by name.
+const PROVIDERS = Object.fromEntries(
+    [gemini, openai, yandex, mistral].map(mod => [mod.provider.name, mod.provider])
+);
+
+/**
+ * Look up a provider descriptor by name.
+ *
+ * Args:
+ *   name: Provider name (case-insensitive).
+ *
+ * Returns:
+ *   Provider descriptor or null when unknown.
+ */
+function getProvider(name) {
+    const key = String(name || '').toLowerCase();
+    return Object.prototype.hasOwnProperty.call(PROVIDERS, key) ? PROVIDERS[key] : null;
+}
+
+/**
+ * List registered provider names.
+ *
+ * Returns:
+ *   Array of provider names.
+ */
+function listProviders() {
+    return Object.keys(PROVIDERS);
+}
+
+/**
+ * Collect required environment variables that are not set for a provider.
+ *
+ * Args:
+ *   provider: Provider descriptor.
+ *
+ * Returns:
+ *   Array of missing variable names.
+ */
+function getMissingEnv(provider) {
+    return provider.requiredEnv.filter(name => !process.env[name]);
+}
+
+/**
+ * Read the environment variables a provider needs.
+ *
+ * Args:
+ *   provider: Provider descriptor.
+ *
+ * Returns:
+ *   Object mapping variable names to values.
+ */
+function readProviderEnv(provider) {
+    return Object.fromEntries(provider.requiredEnv.map(name => [name, process.env[name]]));
+}
+
+/**
+ * List the models a provider may be asked to use.
+ *
+ * Args:
+ *   provider: Provider descriptor.
+ *
+ * Returns:
+ *   Array of model names from <NAME>_ALLOWED_MODELS or the adapter defaults.
+ */
+function getAllowedModels(provider) {
+    const raw = process.env[`${provider.name.toUpperCase()}_ALLOWED_MODELS`];
+    if (raw && raw.trim()) {
+        return raw.split(',').map(m => m.trim()).filter(Boolean);
+    }
+    return provider.models.allowed;
+}
+
+/**
+ * Parse a number and clamp it to a range.
+ *
+ * Args:
+ *   value: Number or numeric string.
+ *   min: Lower bound.
+ *   max: Upper bound.
+ *
+ * Returns:
+ *   Clamped number, or undefined when value is not numeric.
+ */
+function clampNumber(value, min, max) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n)) return undefined;
+    return Math.min(Math.max(n, min), max);
+}
+
+/**
+ * Validate model overrides and clamp sampling options for a provider.
+ *
+ * Args:
+ *   provider: Provider descriptor.
+ *   options: Request options (modelName, modelUri, temperature, maxTokens, ...).
+ *
+ * Returns:
+ *   { options } with sanitized values, or { error } when a model is not allowed.
+ */
+function resolveGenerationOptions(provider, options = {}) {
+    const resolved = { ...options, modelName: undefined, modelUri: undefined };
+    const allowed = getAllowedModels(provider);
+
+    if (options.modelUri) {
+        const fromUri = provider.models.fromUri ? provider.models.fromUri(options.modelUri) : null;
+        if (!fromUri) {
+            return { error: `${provider.name} does not accept modelUri overrides.` };
+        }
+        if (!allowed.includes(fromUri)) {
+            return { error: `Model not allowed for ${provider.name}: ${fromUri}` };
+        }
+        resolved.modelUri = String(options.modelUri);
+    } else if (options.modelName) {
+        const name = String(options.modelName);
+        if (!allowed.includes(name)) {
+            return { error: `Model not allowed for ${provider.name}: ${name}` };
+        }
+        resolved.modelName = name;
+    }
+
+    const envMaxTemperature = clampNumber(process.env.AI_MAX_TEMPERATURE, 0, Infinity);
+    const envMaxTokens = clampNumber(process.env.AI_MAX_TOKENS, 1, Infinity);
+    const maxTemperature = Math.min(provider.limits.maxTemperature, envMaxTemperature ?? Infinity);
+    const maxTokens = Math.min(provider.limits.maxTokens, envMaxTokens ?? Infinity);
+
+    resolved.temperature = clampNumber(options.temperature, 0, maxTemperature);
+    const tokens = clampNumber(options.maxTokens, 1, maxTokens);
+    resolved.maxTokens = tokens === undefined ? undefined : Math.floor(tokens);
+
+    return { options: resolved };
+}
+
+/**
+ * Resolve the token budget for session history.
+ *
+ * Args:
+ *   provider: Provider descriptor.
+ *   model: Model name or URI reported by the adapter (optional).
+ *
+ * Returns:
+ *   Budget from <NAME>_CONTEXT_TOKENS or the adapter limits, capped by AI_CONTEXT_TOKENS.
+ */
+function getContextBudget(provider, model) {
+    const envProvider = clampNumber(process.env[`${provider.name.toUpperCase()}_CONTEXT_TOKENS`], 1, Infinity);
+    const envMax = clampNumber(process.env.AI_CONTEXT_TOKENS, 1, Infinity);
+    const limits = provider.limits.contextTokens;
+    let budget = envProvider;
+    if (budget === undefined) {
+        const name = model && provider.models.fromUri ? (provider.models.fromUri(model) || model) : model;
+        budget = typeof limits === 'object' ? (limits[name] || limits.default) : limits;
+    }
+    return Math.floor(Math.min(budget, envMax ?? Infinity));
+}
+
+/**
+ * Normalize an adapter result to the uniform shape.
+ *
+ * Args:
+ *   result: Adapter return value.
+ *
+ * Returns:
+ *   Object with text, transcript, model, and usage.
+ */
+function normalizeResult(result) {
+    if (typeof result === 'string') {
+        return { text: result, transcript: undefined, model: undefined, usage: null };
+    }
+    return {
+        text: result?.text ?? '',
+        transcript: result?.transcript,
+        model: result?.model,
+        usage: result?.usage ?? null,
+    };
+}
+
+module.exports = {
+    getProvider,
+    listProviders,
+    getMissingEnv,
+    readProviderEnv,
+    getAllowedModels,
+    resolveGenerationOptions,
+    getContextBudget,
+    normalizeResult,
+};
@@ -0,0 +1,55 @@
+/**
+ * Helpers for reading streamed provider responses.
+ */
+
+/**
+ * Iterate a fetch response body line by line.
+ *
+ * Args:
+ *   body: Fetch Response body (async iterable of Uint8Array chunks).
+ *
+ * Returns:
+ *   Async iterator of text lines without trailing newlines.
+ */
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      yield buffer.slice(0, idx).replace(/\r$/, '');
+      buffer = buffer.slice(idx + 1);
+    }
+  }
+  buffer += decoder.decode();
+  if (buffer) yield buffer;
+}
+
+/**
+ * Iterate the JSON payloads of a Server-Sent Events response.
+ *
+ * Args:
+ *   body: Fetch Response body.
+ *
+ * Returns:
+ *   Async iterator of parsed `data:` payloads; stops at `[DONE]`.
+ */
+async function* readSseJson(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    const data = line.slice(5).trim();
+    if (!data) continue;
+    if (data === '[DONE]') return;
+    try {
+      yield JSON.parse(data);
+    } catch (_) {
+      // Skip keep-alive or partial payloads.
+    }
+  }
+}
+
+module.exports = {
+  readLines,
+  readSseJson,
+};
@@ -2,8 +2,12 @@
  * Yandex GPT provider adapter for text and audio generation.
  */
 
+const { readLines } = require('./sse');
+
 // Default model for Yandex GPT when not overridden.
 const DEFAULT_MODEL_NAME = 'yandexgpt-lite';
+// Models course authors may select when YANDEX_ALLOWED_MODELS is not set.
+const ALLOWED_MODEL_NAMES = [DEFAULT_MODEL_NAME, 'yandexgpt'];
 
 /**
  * Generate a text response with Yandex GPT.
@@ -15,7 +19,7 @@ const DEFAULT_MODEL_NAME = 'yandexgpt-lite';
  *   options: Optional model overrides.
  *
  * Returns:
- *   The assistant message text.
+ *   Provider result with text, model, and usage.
  */
 async function generateTextWithYandex(apiKey, folderId, input, options) {
 	const resolved = resolveYandexOptions(folderId, options);
@@ -45,6 +49,7 @@ async function generateTextWithYandex(apiKey, folderId, input, options) {
 			maxTokens: resolved.maxTokens,
 		},
 		messages,
+		...jsonParams(options),
 	};
 
 	const response = await fetch('https://llm.api.cloud.yandex.net/foundationModels/v1/completion', {
@@ -62,7 +67,91 @@ async function generateTextWithYandex(apiKey, folderId, input, options) {
 	}
 	const data = await response.json();
 	const text = data?.result?.alternatives?.[0]?.message?.text ?? '';
-	return text;
+	return { text, model: resolved.modelUri, usage: normalizeUsage(data?.result?.usage) };
+}
+
+/**
+ * Stream a text response with Yandex GPT.
+ *
+ * Args:
+ *   apiKey: Yandex Cloud API key.
+ *   folderId: Yandex Cloud folder ID.
+ *   input: Either a string prompt, an object with prompt/system, or an array of messages.
+ *   options: Optional model overrides.
+ *   onDelta: Callback invoked with each text fragment.
+ *
+ * Returns:
+ *   Provider result with the full text, model, and usage.
+ */
+async function streamTextWithYandex(apiKey, folderId, input, options, onDelta) {
+	const resolved = resolveYandexOptions(folderId, options);
+
+	let messages;
+	if (Array.isArray(input)) {
+		messages = input.map(msg => ({ role: msg.role, text: msg.text }));
+	} else {
+		const { prompt, system } = normalizeInput(input);
+		messages = [];
+		if (system && system.trim().length > 0) {
+			messages.push({ role: 'system', text: system });
+		}
+		messages.push({ role: 'user', text: prompt });
+	}
+
+	const response = await fetch('https://llm.api.cloud.yandex.net/foundationModels/v1/completion', {
+		method: 'POST',
+		headers: {
+			'Content-Type': 'application/json',
+			Authorization: `Api-Key ${apiKey}`,
+		},
+		body: JSON.stringify({
+			modelUri: resolved.modelUri,
+			completionOptions: {
+				stream: true,
+				temperature: resolved.temperature,
+				maxTokens: resolved.maxTokens,
+			},
+			messages,
+		}),
+	});
+
+	if (!response.ok) {
+		const errText = await safeReadText(response);
+		throw new Error(`YandexGPT error ${response.status}: ${errText}`);
+	}
+
+	// Each streamed line carries the cumulative text so far, not a delta.
+	let text = '';
+	let usage = null;
+	for await (const line of readLines(response.body)) {
+		if (!line.trim()) continue;
+		let data;
+		try { data = JSON.parse(line); } catch (_) { continue; }
+		if (data?.result?.usage) usage = normalizeUsage(data.result.usage);
+		const current = data?.result?.alternatives?.[0]?.message?.text ?? '';
+		if (current.length > text.length && current.startsWith(text)) {
+			const delta = current.slice(text.length);
+			text = current;
+			onDelta(delta);
+		}
+	}
+	return { text, model: resolved.modelUri, usage };
+}
+
+/**
+ * Convert Yandex GPT usage to the normalized shape.
+ *
+ * Args:
+ *   usage: `result.usage` from the API response (counts are strings).
+ *
+ * Returns:
+ *   { inputTokens, outputTokens, totalTokens }, or null when missing.
+ */
+function normalizeUsage(usage) {
+	if (!usage) return null;
+	const inputTokens = Number(usage.inputTextTokens) || 0;
+	const outputTokens = Number(usage.completionTokens) || 0;
+	return { inputTokens, outputTokens, totalTokens: Number(usage.totalTokens) || inputTokens + outputTokens };
 }
 
 /**
@@ -98,6 +187,34 @@ function resolveYandexOptions(folderId, options) {
 	return { modelUri, temperature, maxTokens };
 }
 
+/**
+ * Build structured output parameters for JSON mode.
+ *
+ * Args:
+ *   options: Optional overrides (responseFormat, jsonSchema).
+ *
+ * Returns:
+ *   Object with jsonSchema or jsonObject, or an empty object.
+ */
+function jsonParams(options) {
+	if (options?.responseFormat !== 'json') return {};
+	return options.jsonSchema ? { jsonSchema: { schema: options.jsonSchema } } : { jsonObject: true };
+}
+
+/**
+ * Extract the model name from a Yandex model URI.
+ *
+ * Args:
+ *   uri: Model URI like gpt://<folder>/<model>/latest.
+ *
+ * Returns:
+ *   Model name or null when the URI is not recognized.
+ */
+function modelNameFromUri(uri) {
+	const match = /^gpt:\/\/[^/]+\/([^/]+)/.exec(String(uri || ''));
+	return match ? match[1] : null;
+}
+
 /**
  * Check if a value is a finite number.
  *
@@ -153,8 +270,6 @@ function normalizeInput(input) {
 	return { prompt: input?.prompt || '', system: input?.system || '' };
 }
 
-module.exports = { generateTextWithYandex };
-
 
 /**
  * Transcribe audio with Yandex Speech-to-Text.
@@ -212,11 +327,12 @@ async function transcribeWithYandexSTT(apiKey, folderId, audioBuffer, opts = {})
  *   input: Either a string prompt, an object with prompt/system, or an array of messages.
  *   audioBase64: Base64-encoded audio.
  *   sttOpts: STT options (lang, format, sampleRateHertz).
+ *   options: Optional model overrides.
  *
  * Returns:
- *   Object with message text and transcript.
+ *   Provider result with text, transcript, model, and usage.
  */
-async function generateTextWithYandexAndAudio(apiKey, folderId, input, audioBase64, sttOpts) {
+async function generateTextWithYandexAndAudio(apiKey, folderId, input, audioBase64, sttOpts, options) {
 	const audioBuffer = Buffer.from(audioBase64, 'base64');
 	const transcript = await transcribeWithYandexSTT(apiKey, folderId, audioBuffer, sttOpts);
 	
@@ -246,10 +362,81 @@ async function generateTextWithYandexAndAudio(apiKey, folderId, input, audioBase
 		messagesWithAudio = { prompt: mergedPrompt, system };
 	}
 
-	const text = await generateTextWithYandex(apiKey, folderId, messagesWithAudio);
-	return { message: text, transcript };
+	const result = await generateTextWithYandex(apiKey, folderId, messagesWithAudio, options);
+	return { ...result, transcript };
+}
+
+/**
+ * Synthesize speech from text with Yandex SpeechKit.
+ *
+ * Args:
+ *   apiKey: Yandex Cloud API key.
+ *   folderId: Yandex Cloud folder ID.
+ *   text: Text to speak.
+ *   opts: TTS options (voice, lang).
+ *
+ * Returns:
+ *   Object with audioBase64, mimeType, and model.
+ */
+async function synthesizeSpeechWithYandex(apiKey, folderId, text, opts = {}) {
+	const params = new URLSearchParams({
+		text,
+		lang: opts.lang || 'ru-RU',
+		voice: opts.voice || 'alena',
+		format: 'mp3',
+		folderId,
+	});
+
+	const response = await fetch('https://tts.api.cloud.yandex.net/speech/v1/tts:synthesize', {
+		method: 'POST',
+		headers: {
+			Authorization: `Api-Key ${apiKey}`,
+			'Content-Type': 'application/x-www-form-urlencoded',
+		},
+		body: params.toString(),
+	});
+	if (!response.ok) {
+		const errText = await safeReadText(response);
+		throw new Error(`Yandex TTS error ${response.status}: ${errText}`);
+	}
+	const audioBuffer = Buffer.from(await response.arrayBuffer());
+	return { audioBase64: audioBuffer.toString('base64'), mimeType: 'audio/mpeg', model: 'speechkit-v1' };
 }
 
-module.exports.generateTextWithYandexAndAudio = generateTextWithYandexAndAudio;
+// Registry descriptor for the Yandex provider.
+const provider = {
+	name: 'yandex',
+	capabilities: { text: true, audio: true, streaming: true, tts: true },
+	requiredEnv: ['YANDEX_API_KEY', 'YANDEX_FOLDER_ID'],
+	models: { default: DEFAULT_MODEL_NAME, allowed: ALLOWED_MODEL_NAMES, fromUri: modelNameFromUri },
+	limits: { maxTemperature: 1, maxTokens: 8000, contextTokens: { default: 6000, 'yandexgpt-lite': 4000 } },
+	generateText: (env, messages, options) =>
+		generateTextWithYandex(env.YANDEX_API_KEY, env.YANDEX_FOLDER_ID, messages, options),
+	generateWithAudio: (env, messages, audioBase64, options = {}) =>
+		generateTextWithYandexAndAudio(
+			env.YANDEX_API_KEY,
+			env.YANDEX_FOLDER_ID,
+			messages,
+			audioBase64,
+			{
+				format: options.audioFormat || 'oggopus',
+				lang: options.sttLanguage || 'ru-RU',
+				sampleRateHertz: options.sttSampleRate || 48000,
+			},
+			options
+		),
+	streamText: (env, messages, options, onDelta) =>
+		streamTextWithYandex(env.YANDEX_API_KEY, env.YANDEX_FOLDER_ID, messages, options, onDelta),
+	synthesizeSpeech: (env, text, opts) =>
+		synthesizeSpeechWithYandex(env.YANDEX_API_KEY, env.YANDEX_FOLDER_ID, text, opts),
+};
+
+module.exports = {
+	generateTextWithYandex,
+	generateTextWithYandexAndAudio,
+	streamTextWithYandex,
+	synthesizeSpeechWithYandex,
+	provider,
+};
 
 
@@ -0,0 +1,28 @@
+/**
+ * Scheduled Netlify Function that removes expired sessions from the session store.
+ *
+ * Runs hourly; sessions idle longer than SESSION_TTL_MINUTES are deleted,
+ * together with rate-limit counters of past minutes and days.
+ */
+
+const { schedule } = require('@netlify/functions');
+const { sweepExpiredSessions, sweepRateLimits } = require('./generate');
+
+/**
+ * Scheduled handler that sweeps expired sessions and stale counters.
+ *
+ * Returns:
+ *   Response with the number of checked and deleted sessions and counters.
+ */
+exports.handler = schedule('@hourly', async () => {
+    try {
+        const { checked, deleted } = await sweepExpiredSessions();
+        console.log(`[Cleanup] Checked ${checked} sessions, deleted ${deleted.length}.`);
+        const counters = await sweepRateLimits();
+        console.log(`[Cleanup] Checked ${counters.checked} rate-limit counters, deleted ${counters.deleted}.`);
+        return { statusCode: 200, body: JSON.stringify({ checked, deleted: deleted.length, counters }) };
+    } catch (error) {
+        console.error('[Cleanup] Ошибка очистки сессий:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+});
@@ -0,0 +1,33 @@
+/**
+ * Scheduled Netlify Function that retries xAPI statements the LRS did not accept.
+ *
+ * Runs every 10 minutes; entries are dropped after XAPI_MAX_ATTEMPTS failures.
+ */
+
+const { schedule } = require('@netlify/functions');
+const { getStore } = require('./lib/storage');
+const { getXapiConfig, flushQueue } = require('./lib/xapi');
+const { XAPI_QUEUE_STORE } = require('./generate');
+
+/**
+ * Scheduled handler that flushes the xAPI retry queue.
+ *
+ * Returns:
+ *   Response with the number of sent, failed and dropped queue entries.
+ */
+exports.handler = schedule('*/10 * * * *', async () => {
+    const config = getXapiConfig();
+    if (!config) {
+        return { statusCode: 200, body: JSON.stringify({ skipped: 'XAPI_ENDPOINT is not set' }) };
+    }
+    try {
+        const counts = await flushQueue(getStore(XAPI_QUEUE_STORE), config);
+        if (counts.sent || counts.failed || counts.dropped) {
+            console.log(`[xAPI] Retried queue: ${counts.sent} sent, ${counts.failed} failed, ${counts.dropped} dropped.`);
+        }
+        return { statusCode: 200, body: JSON.stringify(counts) };
+    } catch (error) {
+        console.error('[xAPI] Ошибка повтора очереди:', error);
+        return { statusCode: 500, body: JSON.stringify({ error: error.message }) };
+    }
+});
@@ -0,0 +1,352 @@
+/**
+ * Standalone Node server for self-hosting the bridge without Netlify.
+ *
+ * Serves the iframe bridge (`index.html`, `bridge-netlify.js`) and the
+ * `for LMS/same-origin_API` assets, and exposes the functions at their Netlify
+ * routes (`/.netlify/functions/<name>`), so `SR_FunctionUrl` can point here
+ * unchanged. Expired sessions are swept hourly, like the scheduled function.
+ *
+ * Usage:
+ *   node server.js            (PORT, HOST and the function env vars apply)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+// Netlify Blobs is unavailable outside Netlify; keep data on disk by default.
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'fs';
+
+// Minimal stand-in for the Lambda streaming globals that `stream()` from
+// @netlify/functions expects; it must exist before generate-stream loads.
+if (typeof global.awslambda === 'undefined') {
+    global.awslambda = {
+        streamifyResponse: handler => handler,
+        HttpResponseStream: {
+            from(res, { statusCode, headers }) {
+                res.writeHead(statusCode || 200, headers || {});
+                return res;
+            },
+        },
+    };
+}
+
+const FUNCTIONS = {
+    'generate': { handler: require('./netlify/functions/generate').handler },
+    'generate-stream': { handler: require('./netlify/functions/generate-stream').handler, streaming: true },
+    'course-token': { handler: require('./netlify/functions/course-token').handler },
+    'admin': { handler: require('./netlify/functions/admin').handler },
+};
+const { handler: cleanupHandler } = require('./netlify/functions/session-cleanup');
+const { handler: xapiRetryHandler } = require('./netlify/functions/xapi-retry');
+
+const FUNCTIONS_PREFIX = '/.netlify/functions/';
+const ROOT_DIR = __dirname;
+// Files and directories served as static assets.
+const STATIC_FILES = ['index.html', 'bridge-netlify.js'];
+const STATIC_DIRS = ['for LMS/same-origin_API'];
+// Netlify rejects request bodies above 6 MB; keep the same limit.
+const MAX_BODY_BYTES = 6 * 1024 * 1024;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+// Matches the xapi-retry schedule.
+const XAPI_RETRY_INTERVAL_MS = 10 * 60 * 1000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.mp3': 'audio/mpeg',
+};
+
+/**
+ * Read the full request body.
+ *
+ * Args:
+ *   req: Node request.
+ *
+ * Returns:
+ *   Promise resolving to a Buffer; rejects with `statusCode` 413 when the
+ *   body exceeds MAX_BODY_BYTES. The rest of an oversized body is discarded
+ *   rather than the socket destroyed, so the client still gets the 413.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        const onData = (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                const error = new Error('Request body is too large.');
+                error.statusCode = 413;
+                req.off('data', onData);
+                req.resume();
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        };
+        req.on('data', onData);
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check whether a body should be passed to the handler as base64.
+ *
+ * Args:
+ *   contentType: Request Content-Type.
+ *
+ * Returns:
+ *   True for binary and multipart bodies, as on Netlify.
+ */
+function isBinaryBody(contentType) {
+    const type = String(contentType || '').toLowerCase();
+    if (!type) return false;
+    return !(type.startsWith('text/')
+        || type.includes('json')
+        || type.includes('x-www-form-urlencoded')
+        || type.includes('xml'));
+}
+
+/**
+ * Convert a Node request into a Netlify function event.
+ *
+ * The client IP used for rate limiting is the socket address. With
+ * TRUST_PROXY=true it is the last `X-Forwarded-For` entry instead: the
+ * address the proxy saw, appended after anything the client sent.
+ *
+ * Args:
+ *   req: Node request.
+ *   url: Parsed request URL.
+ *   body: Request body Buffer.
+ *
+ * Returns:
+ *   Event object with httpMethod, headers, body, isBase64Encoded, path and
+ *   query parameters.
+ */
+function toEvent(req, url, body) {
+    const headers = { ...req.headers };
+    // Netlify sets the client IP header itself; never trust a client-sent one.
+    delete headers['x-nf-client-connection-ip'];
+    const forwarded = process.env.TRUST_PROXY === 'true'
+        ? String(headers['x-forwarded-for'] || '').split(',').pop().trim()
+        : '';
+    if (process.env.TRUST_PROXY !== 'true') delete headers['x-forwarded-for'];
+    const clientIp = forwarded || req.socket.remoteAddress;
+    if (clientIp) headers['x-nf-client-connection-ip'] = clientIp;
+
+    const queryStringParameters = {};
+    const multiValueQueryStringParameters = {};
+    for (const [key, value] of url.searchParams) {
+        queryStringParameters[key] = value;
+        (multiValueQueryStringParameters[key] = multiValueQueryStringParameters[key] || []).push(value);
+    }
+
+    const binary = isBinaryBody(headers['content-type']);
+    return {
+        httpMethod: req.method,
+        path: url.pathname,
+        rawUrl: url.href,
+        rawQuery: url.search.slice(1),
+        headers,
+        queryStringParameters,
+        multiValueQueryStringParameters,
+        body: body.length > 0 ? body.toString(binary ? 'base64' : 'utf8') : null,
+        isBase64Encoded: binary && body.length > 0,
+    };
+}
+
+/**
+ * Write a Netlify function response to a Node response.
+ *
+ * Args:
+ *   res: Node response.
+ *   response: { statusCode, headers, multiValueHeaders, body, isBase64Encoded }.
+ *
+ * Returns:
+ *   None.
+ */
+function sendResponse(res, response) {
+    const headers = { ...(response.headers || {}) };
+    for (const [key, values] of Object.entries(response.multiValueHeaders || {})) {
+        headers[key] = values;
+    }
+    res.writeHead(response.statusCode || 200, headers);
+    const body = response.body || '';
+    res.end(response.isBase64Encoded ? Buffer.from(body, 'base64') : body);
+}
+
+/**
+ * Run a function handler for a request.
+ *
+ * Args:
+ *   fn: Entry from FUNCTIONS.
+ *   req: Node request.
+ *   res: Node response.
+ *   url: Parsed request URL.
+ *
+ * Returns:
+ *   Promise resolving when the response is finished.
+ */
+async function handleFunction(fn, req, res, url) {
+    let body;
+    try {
+        body = await readBody(req);
+    } catch (error) {
+        sendResponse(res, {
+            statusCode: error.statusCode || 400,
+            headers: { 'Content-Type': 'application/json', Connection: 'close' },
+            body: JSON.stringify({ error: error.message }),
+        });
+        return;
+    }
+
+    const event = toEvent(req, url, body);
+    if (fn.streaming) {
+        await fn.handler(event, res, {});
+        return;
+    }
+    sendResponse(res, await fn.handler(event, {}));
+}
+
+/**
+ * Resolve a URL path to a servable static file.
+ *
+ * Args:
+ *   pathname: Decoded URL path.
+ *
+ * Returns:
+ *   Absolute file path, or null when the path is not served.
+ */
+function resolveStaticFile(pathname) {
+    const relative = pathname === '/' ? 'index.html' : pathname.replace(/^\/+/, '');
+    const file = path.resolve(ROOT_DIR, relative);
+    const allowed = STATIC_FILES.some(name => file === path.join(ROOT_DIR, name))
+        || STATIC_DIRS.some(dir => file.startsWith(path.join(ROOT_DIR, dir) + path.sep));
+    if (!allowed) return null;
+    try {
+        return fs.statSync(file).isFile() ? file : null;
+    } catch (_) {
+        return null;
+    }
+}
+
+/**
+ * Serve a static asset.
+ *
+ * Args:
+ *   req: Node request.
+ *   res: Node response.
+ *   url: Parsed request URL.
+ *
+ * Returns:
+ *   None.
+ */
+function handleStatic(req, res, url) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch (_) {
+        pathname = null;
+    }
+    const file = pathname && resolveStaticFile(pathname);
+    if (!file) {
+        sendResponse(res, { statusCode: 404, headers: { 'Content-Type': 'text/plain; charset=utf-8' }, body: 'Not Found' });
+        return;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        sendResponse(res, { statusCode: 405, headers: { Allow: 'GET, HEAD' }, body: '' });
+        return;
+    }
+    res.writeHead(200, {
+        'Content-Type': MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        'Content-Length': fs.statSync(file).size,
+    });
+    if (req.method === 'HEAD') {
+        res.end();
+        return;
+    }
+    fs.createReadStream(file).pipe(res);
+}
+
+/**
+ * Create the HTTP server.
+ *
+ * Returns:
+ *   Node http.Server (not yet listening).
+ */
+function createServer() {
+    return http.createServer(async (req, res) => {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        try {
+            if (url.pathname.startsWith(FUNCTIONS_PREFIX)) {
+                const fn = FUNCTIONS[url.pathname.slice(FUNCTIONS_PREFIX.length).replace(/\/+$/, '')];
+                if (!fn) {
+                    sendResponse(res, { statusCode: 404, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: 'Function not found.' }) });
+                    return;
+                }
+                await handleFunction(fn, req, res, url);
+                return;
+            }
+            handleStatic(req, res, url);
+        } catch (error) {
+            console.error('[Server] Ошибка обработки запроса:', error);
+            if (res.headersSent) {
+                res.end();
+                return;
+            }
+            sendResponse(res, {
+                statusCode: 500,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ error: 'Внутренняя ошибка сервера.' }),
+            });
+        }
+    });
+}
+
+/**
+ * Start the server, the hourly session cleanup and the xAPI retries.
+ *
+ * Args:
+ *   port: Port to listen on (defaults to PORT or 8888).
+ *   host: Interface to bind (defaults to HOST or all interfaces).
+ *
+ * Returns:
+ *   Listening http.Server.
+ */
+function start(port = Number(process.env.PORT) || 8888, host = process.env.HOST) {
+    const server = createServer();
+    server.listen(port, host, () => {
+        console.log(`[Server] Listening on http://${host || 'localhost'}:${port} (storage: ${process.env.STORAGE_BACKEND})`);
+    });
+    const timer = setInterval(() => {
+        cleanupHandler({}, {}).catch(error => console.error('[Server] Ошибка очистки сессий:', error));
+    }, CLEANUP_INTERVAL_MS);
+    timer.unref();
+    const xapiTimer = setInterval(() => {
+        xapiRetryHandler({}, {}).catch(error => console.error('[Server] Ошибка повтора xAPI:', error));
+    }, XAPI_RETRY_INTERVAL_MS);
+    xapiTimer.unref();
+    server.on('close', () => {
+        clearInterval(timer);
+        clearInterval(xapiTimer);
+    });
+    return server;
+}
+
+if (require.main === module) {
+    start();
+}
+
+module.exports = {
+    createServer,
+    start,
+    toEvent,
+    isBinaryBody,
+};
@@ -0,0 +1,65 @@
+/**
+ * Session history budgets and rolling summaries.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateTokens, splitHistory, buildSummaryRequest, withSummary } = require('../netlify/functions/lib/context');
+
+/**
+ * Build a history of alternating user and assistant messages.
+ *
+ * Args:
+ *   turns: Number of turns.
+ *   text: Text of every message.
+ *
+ * Returns:
+ *   Array of { role, text } messages.
+ */
+function history(turns, text = 'x') {
+    const messages = [];
+    for (let i = 0; i < turns; i++) {
+        messages.push({ role: 'user', text: `${text}${i}` }, { role: 'assistant', text: `${text}${i}` });
+    }
+    return messages;
+}
+
+describe('history budget', () => {
+    it('keeps a history that fits', () => {
+        const messages = history(3);
+
+        assert.deepEqual(splitHistory(messages, 1000, 20), { older: [], newer: messages });
+    });
+
+    it('keeps the newest turns over the budget or message cap', () => {
+        const long = history(10, 'a'.repeat(30));
+        const byBudget = splitHistory(long, 100, 50);
+        const byCap = splitHistory(history(10), 100000, 6);
+
+        assert.equal(byBudget.older.length + byBudget.newer.length, 20);
+        assert.equal(byBudget.newer[0].role, 'user');
+        assert.ok(byBudget.newer.length < 20);
+        assert.deepEqual(byCap.newer.map(m => m.text), ['x7', 'x7', 'x8', 'x8', 'x9', 'x9']);
+    });
+
+    it('counts the stored summary and always keeps the last turn', () => {
+        const messages = history(2);
+
+        assert.equal(splitHistory(messages, 20, 20, estimateTokens('s'.repeat(60))).older.length, 2);
+        assert.equal(splitHistory(history(1, 'a'.repeat(300)), 10, 20).newer.length, 2);
+    });
+});
+
+describe('rolling summary', () => {
+    it('asks for a merged summary and adds it to the system prompt', () => {
+        const [system, user] = buildSummaryRequest('Earlier', history(1));
+
+        assert.equal(system.role, 'system');
+        assert.equal(user.text, 'Previous summary:\nEarlier\n\nNew turns:\nUser: x0\nAssistant: x0');
+        assert.match(buildSummaryRequest(undefined, []).at(1).text, /^Previous summary:\n\(none\)/);
+        assert.equal(withSummary('Tutor', 'Sum'), 'Tutor\n\nSummary of the earlier conversation:\nSum');
+        assert.equal(withSummary('', 'Sum'), 'Summary of the earlier conversation:\nSum');
+        assert.equal(withSummary('Tutor', ''), 'Tutor');
+    });
+});
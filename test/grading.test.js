@@ -0,0 +1,92 @@
+/**
+ * Rubric grading: request parsing, the reply schema and score normalization.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    isGradingRequest,
+    parseGradingRequest,
+    buildGradingSystem,
+    buildGradingSchema,
+    scoreGrade,
+} = require('../netlify/functions/lib/grading');
+const { checkJsonReply } = require('../netlify/functions/lib/structured-output');
+
+const fields = {
+    question: 'Why wear a hard hat?',
+    referenceAnswer: 'It protects the head from falling objects.',
+    rubric: [
+        { id: 'accuracy', description: 'Names the hazard', weight: 3 },
+        { id: 'clarity', description: 'Clear wording', weight: 1, maxPoints: 5 },
+    ],
+};
+
+afterEach(() => {
+    delete process.env.GRADING_PASS_THRESHOLD;
+});
+
+describe('grading requests', () => {
+    it('recognizes the grade task', () => {
+        assert.equal(isGradingRequest('grade'), true);
+        assert.equal(isGradingRequest(' Grade '), true);
+        assert.equal(isGradingRequest('chat'), false);
+        assert.equal(isGradingRequest(undefined), false);
+    });
+
+    it('normalizes the rubric and the pass threshold', () => {
+        const grading = parseGradingRequest({ ...fields, rubric: JSON.stringify([...fields.rubric, 'Polite tone']) });
+
+        assert.deepEqual(grading.rubric, [
+            { id: 'accuracy', description: 'Names the hazard', weight: 3, maxPoints: 10 },
+            { id: 'clarity', description: 'Clear wording', weight: 1, maxPoints: 5 },
+            { id: 'c3', description: 'Polite tone', weight: 1, maxPoints: 10 },
+        ]);
+        assert.equal(grading.passThreshold, 60);
+
+        process.env.GRADING_PASS_THRESHOLD = '75';
+        assert.equal(parseGradingRequest(fields).passThreshold, 75);
+        assert.equal(parseGradingRequest({ ...fields, passThreshold: '50' }).passThreshold, 50);
+    });
+
+    it('rejects incomplete requests', () => {
+        assert.match(parseGradingRequest({ ...fields, question: ' ' }).error, /question is required/);
+        assert.match(parseGradingRequest({ ...fields, rubric: [] }).error, /non-empty array/);
+        assert.match(parseGradingRequest({ ...fields, rubric: '[' }).error, /not valid JSON/);
+        assert.match(parseGradingRequest({ ...fields, rubric: [{ id: 'a' }] }).error, /rubric\[0\] needs a description/);
+        assert.match(parseGradingRequest({ ...fields, rubric: [{ description: 'x', weight: 0 }] }).error, /weight/);
+        assert.match(parseGradingRequest({ ...fields, rubric: ['x', { id: 'c1', description: 'y' }] }).error, /duplicate id c1/);
+        assert.match(parseGradingRequest({ ...fields, passThreshold: 120 }).error, /passThreshold/);
+    });
+});
+
+describe('grading replies', () => {
+    it('describes the rubric and requires points for every criterion', () => {
+        const grading = parseGradingRequest(fields);
+        const schema = buildGradingSchema(grading);
+
+        assert.match(buildGradingSystem(grading), /- clarity \(0-5 points\): Clear wording/);
+        assert.match(buildGradingSystem(grading), /Reference answer:\nIt protects/);
+        assert.deepEqual(checkJsonReply('{"criteria":{"accuracy":{"points":7}},"feedback":"ok"}', schema).errors, [
+            '$.criteria.clarity: is required',
+        ]);
+        assert.equal(checkJsonReply('{"criteria":{"accuracy":{"points":7},"clarity":{"points":6}},"feedback":"ok"}', schema).errors.length, 1);
+    });
+
+    it('weights the points into a 0-100 score', () => {
+        const grading = parseGradingRequest(fields);
+
+        const grade = scoreGrade({
+            criteria: { accuracy: { points: 5, comment: 'Partly' }, clarity: { points: 5 } },
+            feedback: 'Mention falling objects.',
+        }, grading);
+
+        assert.equal(grade.score, 62.5);
+        assert.equal(grade.passed, true);
+        assert.equal(grade.passThreshold, 60);
+        assert.deepEqual(grade.criteria[0], { id: 'accuracy', points: 5, maxPoints: 10, weight: 3, comment: 'Partly' });
+        assert.equal(grade.feedback, 'Mention falling objects.');
+        assert.equal(scoreGrade({ criteria: { accuracy: { points: 4 }, clarity: { points: 5 } }, feedback: '' }, grading).passed, false);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Local HTTP server that mimics an xAPI Learning Record Store.
+ *
+ * Accepts POST /xapi/statements, records each batch, and answers with the
+ * statement ids. `status` makes every request answer with that status instead.
+ */
+
+const http = require('http');
+
+/**
+ * Create a fake LRS.
+ *
+ * Returns:
+ *   Object with start(), stop(), reset(), the `endpoint` once started, and
+ *   the recorded `requests` as { headers, statements }.
+ */
+function createFakeLrs() {
+    let server = null;
+
+    const lrs = {
+        endpoint: null,
+        requests: [],
+        status: 200,
+
+        /**
+         * Start listening on a random local port.
+         *
+         * Returns:
+         *   Promise resolving to the xAPI endpoint URL.
+         */
+        start() {
+            server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    if (req.method !== 'POST' || req.url !== '/xapi/statements') {
+                        res.writeHead(404);
+                        res.end();
+                        return;
+                    }
+                    const statements = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+                    lrs.requests.push({ headers: req.headers, statements });
+                    if (lrs.status !== 200) {
+                        res.writeHead(lrs.status, { 'Content-Type': 'text/plain' });
+                        res.end('LRS unavailable');
+                        return;
+                    }
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify(statements.map(s => s.id)));
+                });
+            });
+            return new Promise((resolve) => {
+                server.listen(0, '127.0.0.1', () => {
+                    lrs.endpoint = `http://127.0.0.1:${server.address().port}/xapi`;
+                    resolve(lrs.endpoint);
+                });
+            });
+        },
+
+        /**
+         * Stop the server.
+         *
+         * Returns:
+         *   Promise resolving when the server is closed.
+         */
+        stop() {
+            return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        },
+
+        /**
+         * Clear recorded requests and accept statements again.
+         *
+         * Returns:
+         *   None.
+         */
+        reset() {
+            lrs.requests = [];
+            lrs.status = 200;
+        },
+
+        /**
+         * All statements received so far.
+         *
+         * Returns:
+         *   Array of statements.
+         */
+        statements() {
+            return lrs.requests.flatMap(r => r.statements);
+        },
+    };
+
+    return lrs;
+}
+
+module.exports = { createFakeLrs };
@@ -0,0 +1,336 @@
+/**
+ * Local HTTP server that mimics the OpenAI, Mistral, Gemini and Yandex APIs.
+ *
+ * Adapters call the real API hosts; `install()` wraps global fetch so those
+ * calls go to this server instead, as `http://127.0.0.1:<port>/<host><path>`.
+ * Every request is recorded, and `failNext()` makes the next call to a route
+ * answer with an error.
+ */
+
+const http = require('http');
+
+// API hosts routed to the fake server.
+const HOSTS = [
+    'api.openai.com',
+    'api.mistral.ai',
+    'generativelanguage.googleapis.com',
+    'llm.api.cloud.yandex.net',
+    'stt.api.cloud.yandex.net',
+    'tts.api.cloud.yandex.net',
+];
+
+// Fake MP3 bytes returned by the speech endpoints.
+const FAKE_AUDIO = Buffer.from('ID3-fake-audio');
+
+/**
+ * Split a reply into two streamed fragments.
+ *
+ * Args:
+ *   text: Full reply text.
+ *
+ * Returns:
+ *   Array of text fragments.
+ */
+function splitReply(text) {
+    const middle = Math.ceil(text.length / 2);
+    return [text.slice(0, middle), text.slice(middle)].filter(Boolean);
+}
+
+/**
+ * Write a JSON response.
+ *
+ * Args:
+ *   res: Node response.
+ *   status: HTTP status.
+ *   data: JSON-serializable body.
+ *
+ * Returns:
+ *   None.
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Write Server-Sent Events with JSON payloads.
+ *
+ * Args:
+ *   res: Node response.
+ *   payloads: Array of objects (or the `[DONE]` marker string).
+ *
+ * Returns:
+ *   None.
+ */
+function sendSse(res, payloads) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const payload of payloads) {
+        res.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+    }
+    res.end();
+}
+
+/**
+ * Answer a chat completions request (OpenAI and Mistral share the format).
+ *
+ * Args:
+ *   fake: Fake provider state.
+ *   res: Node response.
+ *   body: Parsed request body.
+ *
+ * Returns:
+ *   None.
+ */
+function chatCompletions(fake, res, body) {
+    const usage = { prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 };
+    if (body.stream) {
+        const chunks = splitReply(fake.reply).map(content => ({ model: body.model, choices: [{ delta: { content } }] }));
+        sendSse(res, [...chunks, { model: body.model, choices: [], usage }, '[DONE]']);
+        return;
+    }
+    sendJson(res, 200, { model: body.model, choices: [{ message: { role: 'assistant', content: fake.reply } }], usage });
+}
+
+/**
+ * Answer a Gemini generateContent or streamGenerateContent request.
+ *
+ * Args:
+ *   fake: Fake provider state.
+ *   res: Node response.
+ *   path: Request path.
+ *
+ * Returns:
+ *   None.
+ */
+function geminiContent(fake, res, path) {
+    const usageMetadata = { promptTokenCount: 12, candidatesTokenCount: 5, totalTokenCount: 17 };
+    const candidate = text => ({ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP', index: 0 });
+    if (path.endsWith(':streamGenerateContent')) {
+        const chunks = splitReply(fake.reply).map(text => ({ candidates: [candidate(text)] }));
+        chunks[chunks.length - 1].usageMetadata = usageMetadata;
+        sendSse(res, chunks);
+        return;
+    }
+    sendJson(res, 200, { candidates: [candidate(fake.reply)], usageMetadata });
+}
+
+/**
+ * Answer a Yandex GPT completion request.
+ *
+ * Streamed responses are newline-delimited JSON with the cumulative text.
+ *
+ * Args:
+ *   fake: Fake provider state.
+ *   res: Node response.
+ *   body: Parsed request body.
+ *
+ * Returns:
+ *   None.
+ */
+function yandexCompletion(fake, res, body) {
+    const usage = { inputTextTokens: '12', completionTokens: '5', totalTokens: '17' };
+    const result = (text, status, withUsage) => ({
+        result: {
+            alternatives: [{ message: { role: 'assistant', text }, status }],
+            ...(withUsage ? { usage } : {}),
+            modelVersion: 'fake',
+        },
+    });
+    if (body.completionOptions && body.completionOptions.stream) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        let text = '';
+        const parts = splitReply(fake.reply);
+        parts.forEach((part, i) => {
+            text += part;
+            const last = i === parts.length - 1;
+            res.write(JSON.stringify(result(text, last ? 'ALTERNATIVE_STATUS_FINAL' : 'ALTERNATIVE_STATUS_PARTIAL', last)) + '\n');
+        });
+        res.end();
+        return;
+    }
+    sendJson(res, 200, result(fake.reply, 'ALTERNATIVE_STATUS_FINAL', true));
+}
+
+/**
+ * Route a recorded request to the matching fake endpoint.
+ *
+ * Args:
+ *   fake: Fake provider state.
+ *   req: Recorded request.
+ *   res: Node response.
+ *
+ * Returns:
+ *   None.
+ */
+function route(fake, req, res) {
+    const key = `${req.host}${req.path}`;
+    const failure = fake.failures.find(f => key.includes(f.match));
+    if (failure) {
+        fake.failures.splice(fake.failures.indexOf(failure), 1);
+        sendJson(res, failure.status, failure.body);
+        return;
+    }
+
+    if (key === 'api.openai.com/v1/chat/completions' || key === 'api.mistral.ai/v1/chat/completions') {
+        chatCompletions(fake, res, req.json || {});
+    } else if (key === 'api.openai.com/v1/audio/transcriptions') {
+        sendJson(res, 200, { text: fake.transcript });
+    } else if (key === 'api.openai.com/v1/audio/speech' || key === 'tts.api.cloud.yandex.net/speech/v1/tts:synthesize') {
+        res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+        res.end(FAKE_AUDIO);
+    } else if (req.host === 'generativelanguage.googleapis.com') {
+        geminiContent(fake, res, req.path);
+    } else if (key === 'llm.api.cloud.yandex.net/foundationModels/v1/completion') {
+        yandexCompletion(fake, res, req.json || {});
+    } else if (key === 'stt.api.cloud.yandex.net/speech/v1/stt:recognize') {
+        sendJson(res, 200, { result: fake.transcript });
+    } else {
+        sendJson(res, 404, { error: `No fake endpoint for ${key}` });
+    }
+}
+
+/**
+ * Create a fake provider server.
+ *
+ * Returns:
+ *   Object with start(), stop(), install(), uninstall(), reset(), failNext(),
+ *   and the recorded `requests`.
+ */
+function createFakeProviders() {
+    let server = null;
+    let baseUrl = null;
+    let originalFetch = null;
+
+    const fake = {
+        reply: 'Hello from the fake provider.',
+        transcript: 'Fake transcript.',
+        requests: [],
+        failures: [],
+
+        /**
+         * Start listening on a random local port.
+         *
+         * Returns:
+         *   Promise resolving to the base URL.
+         */
+        start() {
+            server = http.createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    const url = new URL(req.url, 'http://fake');
+                    const [, host, ...rest] = url.pathname.split('/');
+                    const body = Buffer.concat(chunks);
+                    let json;
+                    try { json = JSON.parse(body.toString('utf8')); } catch (_) { json = undefined; }
+                    const recorded = {
+                        method: req.method,
+                        host,
+                        path: '/' + rest.join('/'),
+                        query: Object.fromEntries(url.searchParams),
+                        headers: req.headers,
+                        body,
+                        json,
+                    };
+                    fake.requests.push(recorded);
+                    route(fake, recorded, res);
+                });
+            });
+            return new Promise((resolve) => {
+                server.listen(0, '127.0.0.1', () => {
+                    baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+
+        /**
+         * Stop the server and restore fetch.
+         *
+         * Returns:
+         *   Promise resolving when the server is closed.
+         */
+        stop() {
+            fake.uninstall();
+            return new Promise(resolve => (server ? server.close(() => resolve()) : resolve()));
+        },
+
+        /**
+         * Redirect fetch calls for the provider hosts to the fake server.
+         *
+         * Returns:
+         *   None.
+         */
+        install() {
+            if (originalFetch) return;
+            originalFetch = global.fetch;
+            global.fetch = (input, init) => {
+                const url = new URL(typeof input === 'string' ? input : (input.url || String(input)));
+                if (HOSTS.includes(url.hostname)) {
+                    return originalFetch(`${baseUrl}/${url.hostname}${url.pathname}${url.search}`, init);
+                }
+                return originalFetch(input, init);
+            };
+        },
+
+        /**
+         * Restore the original fetch.
+         *
+         * Returns:
+         *   None.
+         */
+        uninstall() {
+            if (!originalFetch) return;
+            global.fetch = originalFetch;
+            originalFetch = null;
+        },
+
+        /**
+         * Clear recorded requests, pending failures and custom replies.
+         *
+         * Returns:
+         *   None.
+         */
+        reset() {
+            fake.requests = [];
+            fake.failures = [];
+            fake.reply = 'Hello from the fake provider.';
+            fake.transcript = 'Fake transcript.';
+        },
+
+        /**
+         * Make the next request whose `<host><path>` contains `match` fail.
+         *
+         * Args:
+         *   match: Substring of `<host><path>`, e.g. 'api.openai.com/v1/chat'.
+         *   status: HTTP status to answer with.
+         *   body: JSON error body.
+         *
+         * Returns:
+         *   None.
+         */
+        failNext(match, status = 500, body = { error: { message: 'Fake provider failure' } }) {
+            fake.failures.push({ match, status, body });
+        },
+
+        /**
+         * Recorded requests for one host.
+         *
+         * Args:
+         *   host: API host name.
+         *
+         * Returns:
+         *   Array of recorded requests.
+         */
+        requestsTo(host) {
+            return fake.requests.filter(r => r.host === host);
+        },
+    };
+
+    return fake;
+}
+
+module.exports = {
+    createFakeProviders,
+    FAKE_AUDIO,
+};
@@ -0,0 +1,216 @@
+/**
+ * Provider adapters against the fake provider APIs.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeProviders, FAKE_AUDIO } = require('./helpers/fake-providers');
+const { provider: openai } = require('../netlify/functions/providers/openai');
+const { provider: mistral } = require('../netlify/functions/providers/mistral');
+const { provider: gemini } = require('../netlify/functions/providers/gemini');
+const { provider: yandex } = require('../netlify/functions/providers/yandex');
+
+const fake = createFakeProviders();
+const messages = [
+    { role: 'system', text: 'Be brief.' },
+    { role: 'user', text: 'Earlier question' },
+    { role: 'assistant', text: 'Earlier answer' },
+    { role: 'user', text: 'New question' },
+];
+const audioBase64 = Buffer.from('fake-webm').toString('base64');
+
+/**
+ * Collect the deltas of a streaming call.
+ *
+ * Args:
+ *   call: Function taking an onDelta callback and returning a promise.
+ *
+ * Returns:
+ *   Promise resolving to { result, deltas }.
+ */
+async function collectStream(call) {
+    const deltas = [];
+    const result = await call(delta => deltas.push(delta));
+    return { result, deltas };
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    await fake.start();
+    fake.install();
+});
+
+after(() => fake.stop());
+
+beforeEach(() => fake.reset());
+
+describe('openai adapter', () => {
+    const env = { OPENAI_API_KEY: 'sk-test' };
+
+    it('generates text and normalizes usage', async () => {
+        const result = await openai.generateText(env, messages, { temperature: 0.5, maxTokens: 100 });
+
+        assert.equal(result.text, fake.reply);
+        assert.equal(result.model, 'gpt-5-nano-2025-08-07');
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+        const [request] = fake.requestsTo('api.openai.com');
+        assert.equal(request.headers.authorization, 'Bearer sk-test');
+        assert.deepEqual(request.json.messages.map(m => m.role), ['system', 'user', 'assistant', 'user']);
+        assert.equal(request.json.temperature, 0.5);
+        assert.equal(request.json.max_completion_tokens, 100);
+    });
+
+    it('falls back to the smaller model when the primary is rejected', async () => {
+        fake.failNext('api.openai.com/v1/chat/completions', 404);
+
+        const result = await openai.generateText(env, messages, {});
+
+        assert.equal(result.model, 'gpt-4o-mini');
+        assert.deepEqual(fake.requestsTo('api.openai.com').map(r => r.json.model), ['gpt-5-nano-2025-08-07', 'gpt-4o-mini']);
+    });
+
+    it('throws on server errors', async () => {
+        fake.failNext('api.openai.com/v1/chat/completions', 500);
+
+        await assert.rejects(openai.generateText(env, messages, {}), /OpenAI chat error 500/);
+    });
+
+    it('streams deltas and reads usage from the last chunk', async () => {
+        const { result, deltas } = await collectStream(onDelta => openai.streamText(env, messages, {}, onDelta));
+
+        assert.equal(deltas.join(''), fake.reply);
+        assert.ok(deltas.length > 1);
+        assert.equal(result.text, fake.reply);
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+        assert.deepEqual(fake.requests[0].json.stream_options, { include_usage: true });
+    });
+
+    it('transcribes audio before answering', async () => {
+        const result = await openai.generateWithAudio(env, messages, audioBase64, { sttLanguage: 'en-US' });
+
+        assert.equal(result.transcript, fake.transcript);
+        assert.equal(result.text, fake.reply);
+        const [transcription, chat] = fake.requestsTo('api.openai.com');
+        assert.equal(transcription.path, '/v1/audio/transcriptions');
+        assert.match(transcription.body.toString('latin1'), /name="language"\r\n\r\nen\r\n/);
+        assert.equal(chat.json.messages.at(-1).content.includes(fake.transcript), true);
+    });
+
+    it('synthesizes speech', async () => {
+        const speech = await openai.synthesizeSpeech(env, 'Hi', { voice: 'nova' });
+
+        assert.equal(Buffer.from(speech.audioBase64, 'base64').toString(), FAKE_AUDIO.toString());
+        assert.equal(speech.mimeType, 'audio/mpeg');
+        assert.equal(fake.requests[0].json.voice, 'nova');
+    });
+});
+
+describe('mistral adapter', () => {
+    const env = { MISTRAL_API_KEY: 'mistral-test' };
+
+    it('sends the system prompt separately and normalizes usage', async () => {
+        const result = await mistral.generateText(env, messages, {});
+
+        assert.equal(result.text, fake.reply);
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+        const [request] = fake.requestsTo('api.mistral.ai');
+        assert.equal(request.json.system_prompt, 'Be brief.');
+        assert.deepEqual(request.json.messages.map(m => m.role), ['user', 'assistant', 'user']);
+    });
+
+    it('streams deltas', async () => {
+        const { result, deltas } = await collectStream(onDelta => mistral.streamText(env, messages, {}, onDelta));
+
+        assert.equal(deltas.join(''), fake.reply);
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+    });
+
+    it('throws when primary and fallback models fail', async () => {
+        fake.failNext('api.mistral.ai', 400);
+        fake.failNext('api.mistral.ai', 400);
+
+        await assert.rejects(mistral.generateText(env, messages, {}), /Mistral chat error 400/);
+    });
+});
+
+describe('gemini adapter', () => {
+    const env = { GEMINI_API_KEY: 'gemini-test' };
+
+    it('generates text with a system instruction and model roles', async () => {
+        const result = await gemini.generateText(env, messages, { maxTokens: 50 });
+
+        assert.equal(result.text, fake.reply);
+        assert.equal(result.model, 'gemini-2.5-flash');
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+        const [request] = fake.requestsTo('generativelanguage.googleapis.com');
+        assert.equal(request.path, '/v1beta/models/gemini-2.5-flash:generateContent');
+        assert.equal(request.json.systemInstruction.parts[0].text, 'Be brief.');
+        assert.deepEqual(request.json.contents.map(c => c.role), ['user', 'model', 'user']);
+        assert.equal(request.json.generationConfig.maxOutputTokens, 50);
+    });
+
+    it('streams deltas and reads the final usage', async () => {
+        const { result, deltas } = await collectStream(onDelta => gemini.streamText(env, messages, {}, onDelta));
+
+        assert.equal(deltas.join(''), fake.reply);
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+        assert.equal(fake.requests[0].query.alt, 'sse');
+    });
+
+    it('attaches audio to the last user turn', async () => {
+        await gemini.generateWithAudio(env, messages, audioBase64, { sttLanguage: 'kk-KZ' });
+
+        const parts = fake.requests[0].json.contents.at(-1).parts;
+        assert.equal(parts.at(-1).inlineData.data, audioBase64);
+        assert.match(parts.at(-2).text, /kk-KZ/);
+    });
+});
+
+describe('yandex adapter', () => {
+    const env = { YANDEX_API_KEY: 'yandex-test', YANDEX_FOLDER_ID: 'folder1' };
+
+    it('generates text with the folder model URI and string usage counts', async () => {
+        const result = await yandex.generateText(env, messages, { modelName: 'yandexgpt-lite' });
+
+        assert.equal(result.text, fake.reply);
+        assert.equal(result.model, 'gpt://folder1/yandexgpt-lite/latest');
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+        const [request] = fake.requestsTo('llm.api.cloud.yandex.net');
+        assert.equal(request.headers.authorization, 'Api-Key yandex-test');
+        assert.equal(request.json.completionOptions.stream, false);
+    });
+
+    it('turns cumulative streamed text into deltas', async () => {
+        const { result, deltas } = await collectStream(onDelta => yandex.streamText(env, messages, {}, onDelta));
+
+        assert.equal(deltas.join(''), fake.reply);
+        assert.ok(deltas.length > 1);
+        assert.deepEqual(result.usage, { inputTokens: 12, outputTokens: 5, totalTokens: 17 });
+    });
+
+    it('recognizes speech with SpeechKit before answering', async () => {
+        const result = await yandex.generateWithAudio(env, messages, audioBase64, { audioFormat: 'oggopus', sttLanguage: 'en-US' });
+
+        assert.equal(result.transcript, fake.transcript);
+        const [stt] = fake.requestsTo('stt.api.cloud.yandex.net');
+        assert.deepEqual(stt.query, { lang: 'en-US', format: 'oggopus', sampleRateHertz: '48000' });
+        assert.equal(stt.body.toString(), 'fake-webm');
+        const [completion] = fake.requestsTo('llm.api.cloud.yandex.net');
+        assert.match(completion.json.messages.at(-1).text, /Fake transcript\./);
+    });
+
+    it('synthesizes speech', async () => {
+        const speech = await yandex.synthesizeSpeech(env, 'Привет', {});
+
+        assert.equal(Buffer.from(speech.audioBase64, 'base64').toString(), FAKE_AUDIO.toString());
+        assert.match(fake.requests[0].body.toString(), /voice=alena/);
+        assert.match(fake.requests[0].body.toString(), /lang=ru-RU/);
+    });
+
+    it('throws on API errors', async () => {
+        fake.failNext('llm.api.cloud.yandex.net', 401);
+
+        await assert.rejects(yandex.generateText(env, messages, {}), /YandexGPT error 401/);
+    });
+});
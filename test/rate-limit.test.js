@@ -0,0 +1,102 @@
+/**
+ * Rate limits, course quotas and the counter sweep.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    getClientKey,
+    checkRateLimit,
+    checkCourseQuota,
+    recordCourseTokens,
+    sweepCounters,
+} = require('../netlify/functions/lib/rate-limit');
+const { createMemoryStore } = require('../netlify/functions/lib/storage');
+
+const now = Date.UTC(2026, 9, 19, 12, 30);
+
+/**
+ * Create an empty memory store for one test.
+ *
+ * Returns:
+ *   Store object.
+ */
+function newStore() {
+    return createMemoryStore(`limits-${Math.random()}`);
+}
+
+afterEach(() => {
+    delete process.env.COURSE_DAILY_REQUESTS;
+    delete process.env.COURSE_DAILY_TOKENS;
+});
+
+describe('rate limits', () => {
+    it('keys clients by address', () => {
+        assert.equal(getClientKey({ headers: { 'x-nf-client-connection-ip': '203.0.113.7', 'x-forwarded-for': '198.51.100.1' } }), 'ip:203.0.113.7');
+        assert.equal(getClientKey({ headers: { 'x-forwarded-for': '198.51.100.1, 203.0.113.8' } }), 'ip:203.0.113.8');
+        assert.equal(getClientKey({ headers: {} }), 'ip:unknown');
+    });
+
+    it('allows a number of requests per key and minute', async () => {
+        const store = newStore();
+
+        assert.equal(await checkRateLimit(store, 'ip:a', 2, now), null);
+        assert.equal(await checkRateLimit(store, 'ip:a', 2, now), null);
+        assert.deepEqual(await checkRateLimit(store, 'ip:a', 2, now), {
+            statusCode: 429,
+            error: 'Rate limit exceeded: 2 requests per minute.',
+            retryAfter: 60,
+        });
+        assert.equal(await checkRateLimit(store, 'ip:b', 2, now), null);
+        assert.equal(await checkRateLimit(store, 'ip:a', 2, now + 60000), null);
+        assert.equal(await checkRateLimit(store, 'ip:a', 0, now), null);
+    });
+});
+
+describe('course quotas', () => {
+    it('counts requests per course and UTC day', async () => {
+        process.env.COURSE_DAILY_REQUESTS = '2';
+        const store = newStore();
+
+        assert.equal(await checkCourseQuota(store, 'c1', now), null);
+        assert.equal(await checkCourseQuota(store, 'c1', now), null);
+        assert.deepEqual(await checkCourseQuota(store, 'c1', now), {
+            statusCode: 429,
+            error: 'Daily request quota exceeded for course c1.',
+            retryAfter: 11.5 * 3600,
+        });
+        assert.equal(await checkCourseQuota(store, 'c2', now), null);
+        assert.equal(await checkCourseQuota(store, 'c1', now + 12 * 3600000), null);
+        assert.equal(await checkCourseQuota(store, undefined, now), null);
+    });
+
+    it('stops a course once its daily tokens are used', async () => {
+        process.env.COURSE_DAILY_TOKENS = '100';
+        const store = newStore();
+
+        assert.equal(await checkCourseQuota(store, 'c1', now), null);
+        await recordCourseTokens(store, 'c1', 60, now);
+        assert.equal(await checkCourseQuota(store, 'c1', now), null);
+        await recordCourseTokens(store, 'c1', 60, now);
+
+        assert.match((await checkCourseQuota(store, 'c1', now)).error, /token quota exceeded for course c1/);
+        assert.deepEqual(await store.get('day/c1/2026-10-19', { type: 'json' }), { requests: 2, tokens: 120 });
+    });
+});
+
+describe('counter sweep', () => {
+    it('deletes counters of past minutes and days', async () => {
+        const store = newStore();
+        await checkRateLimit(store, 'ip:203.0.113.7', 20, now - 60000);
+        await checkRateLimit(store, 'session:a/b', 20, now);
+        await store.set('day/c1/2026-10-18', '{}');
+        await store.set('day/c1/2026-10-19', '{}');
+
+        const result = await sweepCounters(store, now);
+
+        assert.deepEqual(result, { checked: 4, deleted: 2 });
+        const { blobs } = await store.list();
+        assert.deepEqual(blobs.map(b => b.key).sort(), ['day/c1/2026-10-19', `minute/session:a/b/${Math.floor(now / 60000)}`]);
+    });
+});
@@ -0,0 +1,471 @@
+/**
+ * The WebRecorder bridge in jsdom with a stubbed Storyline player.
+ */
+
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { createFakeProviders } = require('./helpers/fake-providers');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.AI_PROVIDER = 'openai';
+process.env.OPENAI_API_KEY = 'sk-test';
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+
+const BRIDGE_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'for LMS', 'same-origin_API', 'recorder-bridge.js'), 'utf8');
+const ENDPOINT = 'https://bridge.example.com/.netlify/functions/generate';
+
+let windows = [];
+
+/**
+ * Load the bridge into a fresh jsdom window.
+ *
+ * Args:
+ *   vars: Initial Storyline variables.
+ *   fetchImpl: fetch implementation for the window.
+ *
+ * Returns:
+ *   { window, WebRecorder, player, messages } where messages collects
+ *   postMessage payloads sent to the parent.
+ */
+function loadBridge(vars, fetchImpl) {
+    const dom = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+        url: 'https://lms.example.com/course/story.html',
+        runScripts: 'outside-only',
+    });
+    const { window } = dom;
+    windows.push(window);
+
+    const player = {
+        vars: { ...vars },
+        GetVar(name) { return this.vars[name]; },
+        SetVar(name, value) { this.vars[name] = value; },
+    };
+    // A top-level jsdom window is its own parent, so GetPlayer lives here.
+    window.GetPlayer = () => player;
+    window.fetch = fetchImpl;
+    window.TextDecoder = TextDecoder;
+
+    // postMessage is asynchronous in jsdom; record what the bridge posts instead.
+    // The bridge posts to both parent and top, which are this same window, so
+    // every message arrives twice; keep one copy.
+    const messages = [];
+    let posts = 0;
+    window.postMessage = (data) => {
+        if (posts++ % 2 === 0) messages.push(data);
+    };
+
+    window.eval(BRIDGE_SOURCE);
+    return { window, WebRecorder: window.WebRecorder, player, messages };
+}
+
+/**
+ * Create a fetch stub that answers from a list of responses.
+ *
+ * Args:
+ *   responses: Array of functions (url, init) => Response, used in order.
+ *
+ * Returns:
+ *   Stub fetch with a `calls` array of { url, init, body }.
+ */
+function stubFetch(responses) {
+    const calls = [];
+    const fetchStub = async (url, init = {}) => {
+        calls.push({ url: String(url), init, body: init.body ? JSON.parse(init.body) : undefined });
+        const next = responses[calls.length - 1];
+        if (!next) throw new Error(`Unexpected fetch to ${url}`);
+        return next(url, init);
+    };
+    fetchStub.calls = calls;
+    return fetchStub;
+}
+
+/**
+ * Build a JSON Response.
+ *
+ * Args:
+ *   data: Body object.
+ *   status: HTTP status.
+ *   headers: Extra headers.
+ *
+ * Returns:
+ *   Function returning a fetch Response.
+ */
+function json(data, status = 200, headers = {}) {
+    return () => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+}
+
+/**
+ * Create a stub SCORM API object.
+ *
+ * Args:
+ *   version: `2004` or `1.2`.
+ *   values: Initial data model values.
+ *
+ * Returns:
+ *   API object with the version's methods, the `values` it holds and a
+ *   `commits` counter.
+ */
+function scormApi(version, values) {
+    const api = { values: { ...values }, commits: 0 };
+    const [getValue, setValue, commit] = version === '2004'
+        ? ['GetValue', 'SetValue', 'Commit']
+        : ['LMSGetValue', 'LMSSetValue', 'LMSCommit'];
+    api[getValue] = name => (name in api.values ? api.values[name] : '');
+    api[setValue] = (name, value) => {
+        api.values[name] = value;
+        const match = /^cmi\.interactions\.(\d+)\.id$/.exec(name);
+        if (match) api.values['cmi.interactions._count'] = String(Number(match[1]) + 1);
+        return 'true';
+    };
+    api[commit] = () => {
+        api.commits += 1;
+        return 'true';
+    };
+    return api;
+}
+
+/**
+ * Wait for the bridge to poll the player variables.
+ *
+ * Returns:
+ *   Promise resolving after a few poll intervals.
+ */
+function waitForSync() {
+    return new Promise(resolve => setTimeout(resolve, 40));
+}
+
+before(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+});
+
+afterEach(() => {
+    windows.forEach(w => w.close());
+    windows = [];
+});
+
+describe('recorder bridge: text requests', () => {
+    it('sends Storyline variables and writes the reply back', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'Well done.', sessionId: 's1', turns: 1 })]);
+        const { WebRecorder, player, messages } = loadBridge({
+            SR_Prompt: 'My answer',
+            SR_System: 'You are a tutor.',
+            SR_SessionId: 's1',
+            SR_Temperature: 0.4,
+            SR_Provider: 'openai',
+        }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.send();
+
+        const [request] = fetchStub.calls;
+        assert.equal(request.url, ENDPOINT);
+        assert.equal(request.body.prompt, 'My answer');
+        assert.equal(request.body.system, 'You are a tutor.');
+        assert.equal(request.body.sessionId, 's1');
+        assert.equal(request.body.temperature, 0.4);
+        assert.equal(request.body.provider, 'openai');
+        assert.equal(request.body.xapi, undefined);
+        assert.equal(player.vars.SR_Response, 'Well done.');
+        assert.equal(player.vars.SR_Status, 'Idle');
+        assert.ok(messages.some(m => m.type === 'SR_response' && m.payload === 'Well done.'));
+    });
+
+    it('falls back to the UserResponse variable when SR_Prompt is empty', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'ok' })]);
+        const { WebRecorder } = loadBridge({ UserResponse: 'Typed answer' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, autosync: false });
+        WebRecorder.setMode('text');
+        await WebRecorder.send();
+
+        assert.equal(fetchStub.calls[0].body.prompt, 'Typed answer');
+    });
+
+    it('maps JSON reply fields onto variables', async () => {
+        const fetchStub = stubFetch([json({ generatedText: '{}', json: { score: 4, passed: true, tags: ['a'] } })]);
+        const { WebRecorder, player } = loadBridge({ SR_Prompt: 'Grade me' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        WebRecorder.setJsonMapping({ passed: 'QuizPassed' });
+        WebRecorder.setResponseFormat('json');
+        await waitForSync();
+        await WebRecorder.send();
+
+        assert.equal(fetchStub.calls[0].body.responseFormat, 'json');
+        assert.equal(player.vars.SR_Json_score, 4);
+        assert.equal(player.vars.QuizPassed, true);
+        assert.equal(player.vars.SR_Json_tags, '["a"]');
+    });
+
+    it('reports rate limiting through SR_Status and SR_error', async () => {
+        const fetchStub = stubFetch([json({ error: 'Too many requests.', retryAfter: 12 }, 429)]);
+        const { WebRecorder, player, messages } = loadBridge({ SR_Prompt: 'Hi' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await assert.rejects(WebRecorder.send(), /Too many requests/);
+
+        assert.equal(player.vars.SR_Status, 'Rate limited');
+        const error = messages.find(m => m.type === 'SR_error');
+        assert.deepEqual({ ...error.payload }, { status: 429, error: 'Too many requests.', retryAfter: 12 });
+    });
+
+    it('requests a course token and sends it with the request', async () => {
+        const fetchStub = stubFetch([
+            json({ token: 'signed-token', expiresAt: Date.now() + 3600000, courseId: 'course-1' }),
+            json({ generatedText: 'ok' }),
+            json({ generatedText: 'ok again' }),
+        ]);
+        const { WebRecorder } = loadBridge({ SR_Prompt: 'Hi', SR_CourseId: 'course-1' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.send();
+        await WebRecorder.send();
+
+        const [tokenRequest, first, second] = fetchStub.calls;
+        assert.equal(tokenRequest.url, 'https://bridge.example.com/.netlify/functions/course-token');
+        assert.deepEqual(tokenRequest.body, { courseId: 'course-1' });
+        assert.equal(first.init.headers['X-Course-Token'], 'signed-token');
+        assert.equal(first.body.courseId, 'course-1');
+        // The cached token is reused until it expires.
+        assert.equal(second.init.headers['X-Course-Token'], 'signed-token');
+    });
+
+    it('sends the template id and placeholders from Storyline variables', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'ok', template: { id: 'tutor', version: 1 } })]);
+        const { WebRecorder } = loadBridge({
+            SR_Prompt: 'Hi',
+            SR_TemplateId: 'tutor',
+            SR_TemplateVars: '{"topic":"physics","level":"A1"}',
+            Level: 'B2',
+        }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10, templateVariables: ['Level'] });
+        await waitForSync();
+        await WebRecorder.send();
+
+        const { body } = fetchStub.calls[0];
+        assert.equal(body.templateId, 'tutor');
+        assert.deepEqual(body.templateVars, { topic: 'physics', level: 'A1', Level: 'B2' });
+    });
+
+    it('sends the slide id for protected prompts', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'ok' })]);
+        const { WebRecorder } = loadBridge({ SR_Prompt: 'Hi', SR_SlideId: 'slide-3' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.send();
+
+        assert.equal(fetchStub.calls[0].body.slideId, 'slide-3');
+    });
+
+    it('sends a grading request and writes the grade to variables', async () => {
+        const grade = { score: 62.5, passed: false, passThreshold: 70, criteria: [], feedback: 'Mention falling objects.' };
+        const fetchStub = stubFetch([json({ generatedText: grade.feedback, grade })]);
+        const { WebRecorder, player } = loadBridge({
+            SR_Prompt: 'To protect my head.',
+            SR_Question: 'Why wear a hard hat?',
+            SR_ReferenceAnswer: '',
+            SR_Rubric: '[{"id":"accuracy","description":"Names the hazard","weight":3}]',
+            SR_PassThreshold: 70,
+            SR_Score: 0,
+            SR_Passed: true,
+            SR_Feedback: '',
+        }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.sendStream();
+
+        const { url, body } = fetchStub.calls[0];
+        assert.equal(url, ENDPOINT);
+        assert.equal(body.task, 'grade');
+        assert.equal(body.question, 'Why wear a hard hat?');
+        assert.deepEqual(body.rubric, [{ id: 'accuracy', description: 'Names the hazard', weight: 3 }]);
+        assert.equal(body.passThreshold, 70);
+        assert.equal(player.vars.SR_Score, 62.5);
+        assert.equal(player.vars.SR_Passed, false);
+        assert.equal(player.vars.SR_Feedback, 'Mention falling objects.');
+        assert.equal(player.vars.SR_Response, 'Mention falling objects.');
+    });
+
+    it('leaves the rubric to the backend with SR_Rubric = server', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'ok', grade: { score: 90, passed: true, feedback: 'ok' } })]);
+        const { WebRecorder, player } = loadBridge({ SR_Prompt: 'To protect my head.', SR_Rubric: 'server', SR_ReferenceAnswer: 'Hidden', SR_Passed: false }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.send();
+
+        const { body } = fetchStub.calls[0];
+        assert.equal(body.task, 'grade');
+        assert.equal(body.rubric, undefined);
+        assert.equal(body.referenceAnswer, undefined);
+        assert.equal(player.vars.SR_Passed, true);
+    });
+
+    it('sends the learner for xAPI statements', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'ok' })]);
+        const { WebRecorder } = loadBridge({ SR_Prompt: 'Hi', SR_LearnerId: 'learner-7', SR_LearnerName: 'Ada' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10, xapiActivityId: 'https://course/q1' });
+        await waitForSync();
+        await WebRecorder.send();
+
+        assert.deepEqual(fetchStub.calls[0].body.xapi, {
+            learner: { id: 'learner-7', name: 'Ada' },
+            activityId: 'https://course/q1',
+        });
+    });
+});
+
+describe('recorder bridge: SCORM', () => {
+    it('reads the learner and seeds the session id', async () => {
+        const fetchStub = stubFetch([]);
+        const { window, WebRecorder, player } = loadBridge({ SR_Prompt: 'Hi', SR_SessionId: '', SR_CourseId: 'course 1' }, fetchStub);
+        window.API_1484_11 = scormApi('2004', { 'cmi.learner_id': 'learner-7', 'cmi.learner_name': 'Lovelace, Ada' });
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+
+        assert.deepEqual({ ...WebRecorder.getScormLearner() }, { version: '2004', id: 'learner-7', name: 'Lovelace, Ada' });
+        assert.match(player.vars.SR_SessionId, /^scorm-course_1-learner-7-[0-9a-f-]{36}$/);
+        assert.equal(player.vars.SR_LearnerId, 'learner-7');
+    });
+
+    it('keeps a session id set in Storyline', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'ok' })]);
+        const { window, WebRecorder } = loadBridge({ SR_Prompt: 'Hi', SR_SessionId: 'chosen' }, fetchStub);
+        window.API = scormApi('1.2', { 'cmi.core.student_id': 's-42', 'cmi.core.student_name': 'Doe, Jane' });
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.send();
+
+        const { body } = fetchStub.calls[0];
+        assert.equal(body.sessionId, 'chosen');
+        assert.deepEqual(body.xapi.learner, { id: 's-42', name: 'Doe, Jane' });
+    });
+
+    it('writes an interaction with the JSON verdict when enabled', async () => {
+        const fetchStub = stubFetch([json({ generatedText: '{}', json: { passed: false } }), json({ generatedText: '{}', json: { score: 7 } })]);
+        const { window, WebRecorder } = loadBridge({ SR_Prompt: 'My answer', SR_ScormInteractions: true }, fetchStub);
+        const api = scormApi('1.2', { 'cmi.core.student_id': 's-42', 'cmi.interactions._count': '0' });
+        window.API = api;
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.send();
+        await WebRecorder.send();
+
+        assert.equal(api.values['cmi.interactions.0.type'], 'fill-in');
+        assert.equal(api.values['cmi.interactions.0.student_response'], 'My answer');
+        assert.equal(api.values['cmi.interactions.0.result'], 'wrong');
+        assert.match(api.values['cmi.interactions.0.time'], /^\d\d:\d\d:\d\d$/);
+        assert.equal(api.values['cmi.interactions.1.result'], '7');
+        assert.equal(api.commits, 2);
+    });
+
+    it('leaves interactions alone by default', async () => {
+        const fetchStub = stubFetch([json({ generatedText: 'ok' })]);
+        const { window, WebRecorder } = loadBridge({ SR_Prompt: 'Hi' }, fetchStub);
+        const api = scormApi('2004', { 'cmi.learner_id': 'learner-7' });
+        window.API_1484_11 = api;
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.send();
+
+        assert.equal(api.commits, 0);
+        assert.equal(api.values['cmi.interactions.0.id'], undefined);
+    });
+});
+
+describe('recorder bridge: streaming', () => {
+    it('builds SR_Response from streamed deltas', async () => {
+        const sse = 'event: meta\ndata: {"provider":"openai"}\n\n'
+            + 'event: delta\ndata: {"text":"Hel"}\n\n'
+            + 'event: delta\ndata: {"text":"lo"}\n\n'
+            + 'event: done\ndata: {"generatedText":"Hello","turns":1}\n\n';
+        const fetchStub = stubFetch([() => new Response(sse, { headers: { 'Content-Type': 'text/event-stream' } })]);
+        const { WebRecorder, player, messages } = loadBridge({ SR_Prompt: 'Hi' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        const final = await WebRecorder.sendStream();
+
+        assert.equal(fetchStub.calls[0].url, 'https://bridge.example.com/.netlify/functions/generate-stream');
+        assert.equal(final.generatedText, 'Hello');
+        assert.equal(player.vars.SR_Response, 'Hello');
+        assert.deepEqual(messages.filter(m => m.type === 'SR_delta').map(m => m.payload), ['Hel', 'lo']);
+    });
+
+    it('surfaces stream error events with their status', async () => {
+        const sse = 'event: error\ndata: {"error":"Session was changed","statusCode":409}\n\n';
+        const fetchStub = stubFetch([() => new Response(sse, { headers: { 'Content-Type': 'text/event-stream' } })]);
+        const { WebRecorder, messages } = loadBridge({ SR_Prompt: 'Hi' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await assert.rejects(WebRecorder.sendStream(), /Session was changed/);
+
+        assert.equal(messages.find(m => m.type === 'SR_error').payload.status, 409);
+    });
+
+    it('sends JSON replies as a regular request', async () => {
+        const fetchStub = stubFetch([json({ generatedText: '{"ok":true}' })]);
+        const { WebRecorder } = loadBridge({ SR_Prompt: 'Hi', SR_ResponseFormat: 'json' }, fetchStub);
+
+        WebRecorder.init({ endpoint: ENDPOINT, pollIntervalMs: 10 });
+        await waitForSync();
+        await WebRecorder.sendStream();
+
+        assert.equal(fetchStub.calls[0].url, 'https://bridge.example.com/.netlify/functions/generate');
+        assert.equal(fetchStub.calls[0].body.responseFormat, 'json');
+    });
+});
+
+describe('recorder bridge: end to end', () => {
+    const fake = createFakeProviders();
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        await fake.start();
+        fake.install();
+        const { createServer } = require('../server');
+        server = createServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+        await fake.stop();
+    });
+
+    it('talks to the standalone server and keeps the session', async () => {
+        const { WebRecorder, player } = loadBridge({ SR_Prompt: 'First', SR_SessionId: 'e2e-session' }, (url, init) => fetch(url, init));
+
+        WebRecorder.init({ endpoint: `${baseUrl}/.netlify/functions/generate`, pollIntervalMs: 10 });
+        await waitForSync();
+        const first = await WebRecorder.send();
+        player.vars.SR_Prompt = 'Second';
+        await waitForSync();
+        const second = await WebRecorder.send();
+
+        assert.equal(first.generatedText, fake.reply);
+        assert.equal(second.turns, 2);
+        assert.equal(player.vars.SR_Response, fake.reply);
+        const lastChat = fake.requestsTo('api.openai.com').at(-1);
+        assert.deepEqual(lastChat.json.messages.map(m => m.content), ['First', fake.reply, 'Second']);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * The standalone server: request conversion, body limits and client IPs.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.RATE_LIMIT_PER_MINUTE = '0';
+
+const { createServer, toEvent, isBinaryBody } = require('../server');
+
+const URL_BASE = 'http://127.0.0.1:8888';
+
+/**
+ * Build a minimal Node request for toEvent.
+ *
+ * Args:
+ *   headers: Request headers.
+ *
+ * Returns:
+ *   Object with method, headers and socket.
+ */
+function fakeRequest(headers = {}) {
+    return { method: 'POST', headers, socket: { remoteAddress: '127.0.0.1' } };
+}
+
+describe('server events', () => {
+    it('passes binary and multipart bodies as base64', () => {
+        assert.equal(isBinaryBody('multipart/form-data; boundary=x'), true);
+        assert.equal(isBinaryBody('audio/webm'), true);
+        assert.equal(isBinaryBody('application/json'), false);
+        assert.equal(isBinaryBody('text/plain; charset=utf-8'), false);
+        assert.equal(isBinaryBody('application/x-www-form-urlencoded'), false);
+        assert.equal(isBinaryBody(undefined), false);
+    });
+
+    it('converts requests like Netlify', () => {
+        const body = Buffer.from('--b\r\nContent-Disposition: form-data; name="audio"\r\n\r\nÿ\u0000\r\n--b--\r\n', 'latin1');
+        const url = new URL(`${URL_BASE}/.netlify/functions/generate?a=1&a=2`);
+
+        const multipart = toEvent(fakeRequest({ 'content-type': 'multipart/form-data; boundary=b' }), url, body);
+        const json = toEvent(fakeRequest({ 'content-type': 'application/json' }), url, Buffer.from('{"prompt":"Hi"}'));
+        const empty = toEvent(fakeRequest(), url, Buffer.alloc(0));
+
+        assert.equal(multipart.isBase64Encoded, true);
+        assert.deepEqual(Buffer.from(multipart.body, 'base64'), body);
+        assert.equal(json.isBase64Encoded, false);
+        assert.equal(json.body, '{"prompt":"Hi"}');
+        assert.equal(empty.body, null);
+        assert.equal(json.path, '/.netlify/functions/generate');
+        assert.deepEqual(json.queryStringParameters, { a: '2' });
+        assert.deepEqual(json.multiValueQueryStringParameters, { a: ['1', '2'] });
+    });
+
+    it('takes the client IP from the socket unless TRUST_PROXY is set', () => {
+        const req = fakeRequest({ 'x-forwarded-for': '198.51.100.1, 203.0.113.7', 'x-nf-client-connection-ip': '203.0.113.8' });
+        const url = new URL(`${URL_BASE}/.netlify/functions/generate`);
+
+        const direct = toEvent(req, url, Buffer.alloc(0)).headers;
+        process.env.TRUST_PROXY = 'true';
+        const proxied = toEvent(req, url, Buffer.alloc(0)).headers;
+        delete process.env.TRUST_PROXY;
+
+        assert.equal(direct['x-forwarded-for'], undefined);
+        assert.equal(direct['x-nf-client-connection-ip'], '127.0.0.1');
+        assert.equal(proxied['x-nf-client-connection-ip'], '203.0.113.7');
+    });
+});
+
+describe('server requests', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        server = createServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('rejects bodies over 6 MB with 413', async () => {
+        const response = await fetch(`${baseUrl}/.netlify/functions/generate`, {
+            method: 'POST',
+            headers: { 'content-type': 'application/octet-stream' },
+            body: Buffer.alloc(6 * 1024 * 1024 + 1),
+        });
+
+        assert.equal(response.status, 413);
+        assert.deepEqual(await response.json(), { error: 'Request body is too large.' });
+    });
+
+    it('answers unknown functions and paths with 404', async () => {
+        const fn = await fetch(`${baseUrl}/.netlify/functions/missing`);
+        const file = await fetch(`${baseUrl}/package.json`);
+
+        assert.equal(fn.status, 404);
+        assert.equal(file.status, 404);
+    });
+});
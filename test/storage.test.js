@@ -0,0 +1,80 @@
+/**
+ * The memory and filesystem storage backends.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryStore, createFileStore } = require('../netlify/functions/lib/storage');
+
+let tempDir;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storyline-storage-'));
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+const backends = {
+    memory: name => createMemoryStore(`${name}-${Date.now()}-${Math.random()}`),
+    fs: name => createFileStore(name, path.join(tempDir, String(Math.random()))),
+};
+
+for (const [backend, createStore] of Object.entries(backends)) {
+    describe(`${backend} store`, () => {
+        it('reads back values, JSON and metadata', async () => {
+            const store = createStore('values');
+            const { modified, etag } = await store.set('a/b', JSON.stringify({ n: 1 }), { metadata: { lastActivity: 5 } });
+
+            assert.equal(modified, true);
+            assert.equal(await store.get('a/b'), '{"n":1}');
+            assert.deepEqual(await store.get('a/b', { type: 'json' }), { n: 1 });
+            assert.deepEqual(await store.getWithMetadata('a/b', { type: 'json' }), { data: { n: 1 }, etag, metadata: { lastActivity: 5 } });
+            assert.deepEqual(await store.getMetadata('a/b'), { etag, metadata: { lastActivity: 5 } });
+            assert.equal(await store.get('missing'), null);
+            assert.equal(await store.getWithMetadata('missing'), null);
+        });
+
+        it('honours onlyIfNew and onlyIfMatch', async () => {
+            const store = createStore('conditions');
+            const first = await store.set('k', '1', { onlyIfNew: true });
+
+            assert.deepEqual(await store.set('k', '2', { onlyIfNew: true }), { modified: false });
+            assert.deepEqual(await store.set('k', '2', { onlyIfMatch: '"stale"' }), { modified: false });
+            const second = await store.set('k', '2', { onlyIfMatch: first.etag });
+            assert.equal(second.modified, true);
+            assert.notEqual(second.etag, first.etag);
+            assert.equal(await store.get('k'), '2');
+            assert.deepEqual(await store.set('gone', 'x', { onlyIfMatch: first.etag }), { modified: false });
+        });
+
+        it('lists keys by prefix and deletes them', async () => {
+            const store = createStore('listing');
+            await store.set('day/c1/2026-01-01', '1');
+            await store.set('day/c2/2026-01-01', '1');
+            await store.set('minute/x', '1');
+
+            const { blobs } = await store.list({ prefix: 'day/' });
+            assert.deepEqual(blobs.map(b => b.key).sort(), ['day/c1/2026-01-01', 'day/c2/2026-01-01']);
+            assert.ok(blobs.every(b => b.etag));
+
+            await store.delete('minute/x');
+            await store.delete('minute/x');
+            assert.equal((await store.list()).blobs.length, 2);
+        });
+    });
+}
+
+describe('fs store', () => {
+    it('keeps data for a new store instance on the same directory', async () => {
+        const dir = path.join(tempDir, 'persistent');
+        await createFileStore('sessions', dir).set('s1', 'saved');
+
+        assert.equal(await createFileStore('sessions', dir).get('s1'), 'saved');
+        assert.equal(await createFileStore('other', dir).get('s1'), null);
+    });
+});
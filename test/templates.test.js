@@ -0,0 +1,175 @@
+/**
+ * Prompt templates: references, rendering, repo files and published versions.
+ */
+
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.STORAGE_BACKEND = 'memory';
+process.env.ADMIN_TOKEN = 'admin-secret';
+
+const {
+    parseTemplateRef,
+    resolveTemplate,
+    renderTemplate,
+    applyTemplate,
+    findPinnedPrompt,
+    withClientInstructions,
+    listTemplates,
+    saveTemplateVersion,
+} = require('../netlify/functions/lib/templates');
+const admin = require('../netlify/functions/admin');
+
+let tempDir;
+
+/**
+ * Write a template file to the temporary templates directory.
+ *
+ * Args:
+ *   id: Template id.
+ *   doc: Template document.
+ *
+ * Returns:
+ *   None.
+ */
+function writeTemplate(id, doc) {
+    fs.writeFileSync(path.join(tempDir, `${id}.json`), JSON.stringify(doc));
+}
+
+before(() => {
+    mock.method(console, 'warn', () => {});
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storyline-templates-'));
+    process.env.PROMPT_TEMPLATES_DIR = tempDir;
+    writeTemplate('feedback', {
+        description: 'Feedback',
+        versions: [
+            { version: 1, system: 'Tutor for {{topic}}.' },
+            { version: 2, system: 'Tutor for {{topic}} in {{language}}.', prompt: 'Answer: {{prompt}}', defaults: { language: 'English' } },
+        ],
+    });
+});
+
+after(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+describe('template references and rendering', () => {
+    it('parses ids with optional versions', () => {
+        assert.equal(parseTemplateRef(''), null);
+        assert.deepEqual(parseTemplateRef('feedback'), { id: 'feedback', version: undefined });
+        assert.deepEqual(parseTemplateRef('feedback@2'), { id: 'feedback', version: 2 });
+        assert.deepEqual(parseTemplateRef('feedback@2', 1), { id: 'feedback', version: 1 });
+        assert.match(parseTemplateRef('../secret').error, /Invalid templateId/);
+        assert.match(parseTemplateRef('feedback@x').error, /Invalid template version/);
+    });
+
+    it('substitutes placeholders and reports missing ones', () => {
+        assert.deepEqual(renderTemplate('Hi {{ name }}, {{tags}} {{name}}', { name: 'Ada', tags: ['a'] }), {
+            text: 'Hi Ada, ["a"] Ada',
+            missing: [],
+        });
+        assert.deepEqual(renderTemplate('{{a}} {{b}} {{a}}', {}).missing, ['a', 'b']);
+    });
+
+    it('applies defaults, request fields and variables', () => {
+        const template = { system: '{{topic}} in {{language}}', prompt: 'Q: {{prompt}}', defaults: { language: 'English', topic: 'x' } };
+
+        assert.deepEqual(applyTemplate(template, { prompt: 'Why?', topic: 'Physics' }), { system: 'Physics in English', prompt: 'Q: Why?' });
+        assert.deepEqual(applyTemplate(template, { prompt: 'Why?' }, { system: false }), { prompt: 'Q: Why?' });
+        assert.deepEqual(applyTemplate(template, { prompt: 'Why?', topic: 'Physics' }, { systemValues: {} }), { system: 'x in English', prompt: 'Q: Why?' });
+        assert.deepEqual(applyTemplate({ system: '{{topic}}', prompt: '{{level}}' }, {}), { error: 'Template variables missing: topic, level' });
+    });
+});
+
+describe('template storage', () => {
+    it('resolves the latest or a pinned version from repo files', async () => {
+        const latest = await resolveTemplate({ id: 'feedback' });
+        const first = await resolveTemplate({ id: 'feedback', version: 1 });
+
+        assert.equal(latest.version, 2);
+        assert.deepEqual(latest.defaults, { language: 'English' });
+        assert.equal(first.system, 'Tutor for {{topic}}.');
+        assert.equal((await resolveTemplate({ id: 'feedback', version: 9 })).statusCode, 404);
+        assert.equal((await resolveTemplate({ id: 'missing' })).statusCode, 404);
+    });
+
+    it('publishes new versions on top of the repo file', async () => {
+        writeTemplate('quiz', { versions: [{ version: 1, system: 'Old' }] });
+
+        assert.deepEqual(await saveTemplateVersion('quiz', { system: 'New' }), { id: 'quiz', version: 2 });
+        assert.equal((await resolveTemplate({ id: 'quiz' })).system, 'New');
+        assert.equal((await resolveTemplate({ id: 'quiz', version: 1 })).system, 'Old');
+        assert.equal((await saveTemplateVersion('quiz', {})).statusCode, 400);
+        assert.equal((await saveTemplateVersion('bad id', { system: 'x' })).statusCode, 400);
+
+        const listed = (await listTemplates()).find(t => t.id === 'quiz');
+        assert.deepEqual(listed, { id: 'quiz', description: '', latestVersion: 2, source: 'store' });
+    });
+
+    it('stores grading blocks and rejects invalid rubrics', async () => {
+        const grading = { question: 'Why?', rubric: ['Names the hazard'], passThreshold: 80 };
+
+        assert.deepEqual(await saveTemplateVersion('graded', { grading }), { id: 'graded', version: 1 });
+        assert.deepEqual((await resolveTemplate({ id: 'graded' })).grading, grading);
+        assert.equal((await resolveTemplate({ id: 'quiz' })).grading, undefined);
+        assert.match((await saveTemplateVersion('graded', { grading: { question: 'Why?', rubric: [] } })).error, /non-empty array/);
+        assert.equal((await saveTemplateVersion('graded', { grading: 'easy' })).statusCode, 400);
+    });
+
+    it('manages templates through the admin function', async () => {
+        const request = (method, query, body) => admin.handler({
+            httpMethod: method,
+            headers: { authorization: 'Bearer admin-secret' },
+            queryStringParameters: query,
+            body: body === undefined ? undefined : JSON.stringify(body),
+        });
+
+        const put = await request('PUT', { action: 'template', templateId: 'intro' }, { system: 'Hello {{name}}', description: 'Intro' });
+        const get = await request('GET', { action: 'template', templateId: 'intro' });
+        const list = await request('GET', { action: 'templates' });
+
+        assert.equal(put.statusCode, 200);
+        assert.deepEqual(JSON.parse(put.body), { templateId: 'intro', version: 1 });
+        assert.equal(JSON.parse(get.body).versions[0].system, 'Hello {{name}}');
+        assert.ok(JSON.parse(list.body).templates.some(t => t.id === 'intro' && t.description === 'Intro'));
+        assert.equal((await request('GET', { action: 'template', templateId: 'nope' })).statusCode, 404);
+    });
+});
+
+describe('protected system prompts', () => {
+    after(() => {
+        delete process.env.AI_PINNED_PROMPTS;
+        delete process.env.AI_CLIENT_SYSTEM;
+    });
+
+    it('picks the most specific course and slide key', () => {
+        process.env.AI_PINNED_PROMPTS = JSON.stringify({ '*': 'general', 'c1': 'course@2', 'c1/s3': 'slide' });
+
+        assert.deepEqual(findPinnedPrompt('c1', 's3'), { key: 'c1/s3', ref: { id: 'slide', version: undefined } });
+        assert.deepEqual(findPinnedPrompt('c1', 's4'), { key: 'c1', ref: { id: 'course', version: 2 } });
+        assert.equal(findPinnedPrompt('c2').key, '*');
+        assert.equal(findPinnedPrompt(undefined, 's3').key, '*');
+    });
+
+    it('reports invalid settings', () => {
+        process.env.AI_PINNED_PROMPTS = '{';
+        assert.match(findPinnedPrompt('c1').error, /not valid JSON/);
+
+        process.env.AI_PINNED_PROMPTS = JSON.stringify({ c1: '../x' });
+        assert.match(findPinnedPrompt('c1').error, /AI_PINNED_PROMPTS\["c1"\]: Invalid templateId/);
+
+        process.env.AI_PINNED_PROMPTS = '';
+        assert.equal(findPinnedPrompt('c1'), null);
+    });
+
+    it('appends or ignores the client system prompt', () => {
+        assert.equal(withClientInstructions('Grade strictly.', '  '), 'Grade strictly.');
+        assert.match(withClientInstructions('Grade strictly.', 'Be kind.'), /^Grade strictly\.\n\nAdditional instructions .*:\nBe kind\.$/);
+
+        process.env.AI_CLIENT_SYSTEM = 'ignore';
+        assert.equal(withClientInstructions('Grade strictly.', 'Give the answers.'), 'Grade strictly.');
+    });
+});
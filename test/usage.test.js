@@ -0,0 +1,51 @@
+/**
+ * Usage sums, pricing and the monthly course ledger.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { addUsage, withCost, recordLedger } = require('../netlify/functions/lib/usage');
+const { createMemoryStore } = require('../netlify/functions/lib/storage');
+
+const usage = { inputTokens: 10, outputTokens: 5, totalTokens: 15 };
+const now = Date.UTC(2026, 9, 19);
+
+afterEach(() => {
+    delete process.env.AI_PRICING;
+});
+
+describe('usage', () => {
+    it('sums usage and prices it', () => {
+        process.env.AI_PRICING = JSON.stringify({ 'openai:gpt-4o-mini': { input: 1, output: 2 } });
+
+        assert.deepEqual(addUsage(usage, usage), { inputTokens: 20, outputTokens: 10, totalTokens: 30 });
+        assert.equal(addUsage(null, null), null);
+        assert.deepEqual(withCost('openai', 'gpt-4o-mini', usage), { ...usage, cost: 0.00002 });
+        assert.deepEqual(withCost('gemini', 'gemini-pro', usage), usage);
+    });
+});
+
+describe('course ledger', () => {
+    it('adds requests per month and model', async () => {
+        const store = createMemoryStore(`ledger-${Math.random()}`);
+
+        await recordLedger(store, 'c1', 'openai', 'gpt-4o-mini', usage, now);
+        const entry = await recordLedger(store, 'c1', 'openai', undefined, usage, now);
+
+        assert.equal(entry.requests, 2);
+        assert.deepEqual(entry.usage, { inputTokens: 20, outputTokens: 10, totalTokens: 30 });
+        assert.deepEqual(Object.keys(entry.byModel), ['openai:gpt-4o-mini', 'openai:unknown']);
+        assert.deepEqual(await store.get('course/c1/2026-10', { type: 'json' }), entry);
+    });
+
+    it('keeps every update when requests finish at the same time', async () => {
+        const store = createMemoryStore(`ledger-${Math.random()}`);
+
+        await Promise.all([1, 2, 3, 4].map(() => recordLedger(store, 'c1', 'openai', 'gpt-4o-mini', usage, now)));
+
+        const entry = await store.get('course/c1/2026-10', { type: 'json' });
+        assert.equal(entry.requests, 4);
+        assert.equal(entry.usage.totalTokens, 60);
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * xAPI statements, delivery and the retry queue against a fake LRS.
+ */
+
+const { describe, it, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeLrs } = require('./helpers/fake-lrs');
+
+process.env.STORAGE_BACKEND = 'memory';
+
+const {
+    getXapiConfig,
+    parseXapiContext,
+    scoreFromJson,
+    buildStatements,
+    emitStatements,
+    flushQueue,
+} = require('../netlify/functions/lib/xapi');
+const { createMemoryStore, getStore } = require('../netlify/functions/lib/storage');
+
+const lrs = createFakeLrs();
+const context = {
+    learner: { id: 'learner-7', name: 'Ada' },
+    activityId: undefined,
+    activityName: undefined,
+    registration: undefined,
+};
+const details = {
+    sessionId: 's1',
+    courseId: 'course-1',
+    prompt: 'Grade my answer',
+    response: '{"score": 8}',
+    provider: 'openai',
+    model: 'gpt-4o-mini',
+};
+
+/**
+ * Create an empty retry queue store.
+ *
+ * Returns:
+ *   Memory store.
+ */
+function newQueue() {
+    return createMemoryStore(`xapi-${Date.now()}-${Math.random()}`);
+}
+
+before(async () => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    await lrs.start();
+});
+
+after(() => lrs.stop());
+
+beforeEach(() => {
+    lrs.reset();
+    for (const name of ['XAPI_ENDPOINT', 'XAPI_AUTH', 'XAPI_USERNAME', 'XAPI_PASSWORD', 'XAPI_ACTIVITY_BASE', 'XAPI_MAX_ATTEMPTS']) {
+        delete process.env[name];
+    }
+    process.env.URL = 'https://bridge.example.com';
+});
+
+describe('xapi config and context', () => {
+    it('is disabled without XAPI_ENDPOINT', () => {
+        assert.equal(getXapiConfig(), null);
+    });
+
+    it('builds the statements URL and Basic auth', () => {
+        process.env.XAPI_ENDPOINT = 'https://lrs.example.com/xapi/';
+        process.env.XAPI_USERNAME = 'key';
+        process.env.XAPI_PASSWORD = 'secret';
+
+        const config = getXapiConfig();
+
+        assert.equal(config.statementsUrl, 'https://lrs.example.com/xapi/statements');
+        assert.equal(config.auth, `Basic ${Buffer.from('key:secret').toString('base64')}`);
+        assert.equal(config.version, '1.0.3');
+        assert.equal(config.activityBase, 'https://bridge.example.com/xapi');
+    });
+
+    it('parses the request field and requires a learner id or email', () => {
+        assert.deepEqual(parseXapiContext('{"learner":{"email":"ada@example.com"},"activityId":"https://course/q1"}'), {
+            learner: { id: undefined, name: undefined, email: 'ada@example.com' },
+            activityId: 'https://course/q1',
+            activityName: undefined,
+            registration: undefined,
+        });
+        assert.equal(parseXapiContext({ learner: { name: 'Nobody' } }), null);
+        assert.equal(parseXapiContext('not json'), null);
+        assert.equal(parseXapiContext(undefined), null);
+    });
+
+    it('scales scores by the schema range', () => {
+        const schema = { properties: { score: { type: 'number', minimum: 0, maximum: 10 } } };
+
+        assert.deepEqual(scoreFromJson({ score: 8 }, schema), { raw: 8, min: 0, max: 10, scaled: 0.8 });
+        assert.deepEqual(scoreFromJson({ score: 3 }), { raw: 3 });
+        assert.deepEqual(scoreFromJson({ points: 2 }, undefined, 'points'), { raw: 2 });
+        assert.equal(scoreFromJson({ score: 'high' }), null);
+        assert.equal(scoreFromJson(undefined), null);
+    });
+});
+
+describe('xapi statements', () => {
+    it('builds asked and answered statements with extensions', () => {
+        process.env.XAPI_ENDPOINT = lrs.endpoint;
+
+        const [asked, answered, ...rest] = buildStatements(getXapiConfig(), context, { ...details, transcript: 'Spoken answer' });
+
+        assert.equal(rest.length, 0);
+        assert.equal(asked.verb.id, 'http://adlnet.gov/expapi/verbs/asked');
+        assert.deepEqual(asked.actor, {
+            objectType: 'Agent',
+            name: 'Ada',
+            account: { homePage: 'https://bridge.example.com', name: 'learner-7' },
+        });
+        assert.equal(asked.result.response, 'Spoken answer');
+        assert.equal(asked.object.id, 'https://bridge.example.com/xapi/courses/course-1/ai-conversation');
+        assert.equal(asked.context.instructor.account.name, 'ai-openai');
+        const ext = asked.context.extensions;
+        assert.equal(ext['https://bridge.example.com/xapi/extensions/session-id'], 's1');
+        assert.equal(ext['https://bridge.example.com/xapi/extensions/prompt'], 'Grade my answer');
+        assert.equal(ext['https://bridge.example.com/xapi/extensions/transcript'], 'Spoken answer');
+
+        assert.equal(answered.verb.id, 'http://adlnet.gov/expapi/verbs/answered');
+        assert.equal(answered.actor.account.name, 'ai-openai');
+        assert.equal(answered.result.response, '{"score": 8}');
+        assert.equal(answered.context.extensions['https://bridge.example.com/xapi/extensions/learner'].name, 'Ada');
+        assert.notEqual(asked.id, answered.id);
+    });
+
+    it('adds a scored statement and keeps only UUID registrations', () => {
+        process.env.XAPI_ENDPOINT = lrs.endpoint;
+        const registration = '5b8b8c6e-2f7a-4d2e-9d0a-6c3f6f2b9e11';
+
+        const statements = buildStatements(getXapiConfig(),
+            { ...context, learner: { email: 'ada@example.com' }, activityId: 'https://course/q1', registration },
+            { ...details, score: { raw: 8, min: 0, max: 10, scaled: 0.8 } });
+        const scored = statements[2];
+
+        assert.equal(scored.verb.id, 'http://adlnet.gov/expapi/verbs/scored');
+        assert.deepEqual(scored.actor, { objectType: 'Agent', mbox: 'mailto:ada@example.com' });
+        assert.deepEqual(scored.result.score, { raw: 8, min: 0, max: 10, scaled: 0.8 });
+        assert.equal(scored.object.id, 'https://course/q1');
+        assert.equal(scored.context.registration, registration);
+
+        const [plain] = buildStatements(getXapiConfig(), { ...context, registration: 'attempt-1' }, details);
+        assert.equal(plain.context.registration, undefined);
+
+        const graded = buildStatements(getXapiConfig(), context, { ...details, score: { raw: 80 }, success: true });
+        assert.deepEqual(graded[2].result, { score: { raw: 80 }, success: true });
+    });
+});
+
+describe('xapi delivery', () => {
+    it('posts statements with the xAPI version header', async () => {
+        process.env.XAPI_ENDPOINT = lrs.endpoint;
+        process.env.XAPI_AUTH = 'Basic abc';
+        const config = getXapiConfig();
+
+        const outcome = await emitStatements(newQueue(), config, buildStatements(config, context, details));
+
+        assert.deepEqual(outcome, { sent: true });
+        const [request] = lrs.requests;
+        assert.equal(request.headers['x-experience-api-version'], '1.0.3');
+        assert.equal(request.headers.authorization, 'Basic abc');
+        assert.equal(request.statements.length, 2);
+    });
+
+    it('queues failed deliveries and sends them on flush', async () => {
+        process.env.XAPI_ENDPOINT = lrs.endpoint;
+        const config = getXapiConfig();
+        const queue = newQueue();
+        lrs.status = 503;
+
+        const outcome = await emitStatements(queue, config, buildStatements(config, context, details));
+
+        assert.equal(outcome.queued, true);
+        assert.match(outcome.error, /LRS error 503/);
+        assert.deepEqual(await flushQueue(queue, config), { sent: 0, failed: 1, dropped: 0 });
+        const [{ key }] = (await queue.list()).blobs;
+        assert.equal((await queue.get(key, { type: 'json' })).attempts, 2);
+
+        lrs.status = 200;
+        assert.deepEqual(await flushQueue(queue, config), { sent: 1, failed: 0, dropped: 0 });
+        assert.equal((await queue.list()).blobs.length, 0);
+        assert.equal(lrs.statements().length, 6);
+    });
+
+    it('drops entries after XAPI_MAX_ATTEMPTS', async () => {
+        process.env.XAPI_ENDPOINT = lrs.endpoint;
+        process.env.XAPI_MAX_ATTEMPTS = '2';
+        const config = getXapiConfig();
+        const queue = newQueue();
+        lrs.status = 500;
+
+        await emitStatements(queue, config, buildStatements(config, context, details));
+
+        assert.deepEqual(await flushQueue(queue, config), { sent: 0, failed: 0, dropped: 1 });
+        assert.equal((await queue.list()).blobs.length, 0);
+    });
+
+    it('retries the shared queue from the scheduled function', async () => {
+        process.env.XAPI_ENDPOINT = lrs.endpoint;
+        const config = getXapiConfig();
+        const { XAPI_QUEUE_STORE } = require('../netlify/functions/generate');
+        const { handler } = require('../netlify/functions/xapi-retry');
+        lrs.status = 503;
+        await emitStatements(getStore(XAPI_QUEUE_STORE), config, buildStatements(config, context, details));
+        lrs.status = 200;
+
+        const response = await handler({}, {});
+
+        assert.equal(response.statusCode, 200);
+        assert.deepEqual(JSON.parse(response.body), { sent: 1, failed: 0, dropped: 0 });
+    });
+});